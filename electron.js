@@ -1,5 +1,6 @@
-const { app, BrowserWindow, session } = require('electron')
+const { app, BrowserWindow, dialog, ipcMain, session } = require('electron')
 const path = require('path')
+const fs = require('fs')
 
 function createWindow() {
   const win = new BrowserWindow({
@@ -10,7 +11,8 @@ function createWindow() {
       nodeIntegration: false,
       contextIsolation: true,
       enableRemoteModule: false,
-      sandbox: false
+      sandbox: false,
+      preload: path.join(__dirname, 'preload.js')
     },
     backgroundColor: '#000000',
     icon: path.join(__dirname, 'build/icon.png')
@@ -67,6 +69,18 @@ function createWindow() {
   })
 }
 
+// 页面生成的文件（截图、录像）通过原生对话框保存
+ipcMain.handle('save-file', async (event, { data, fileName, filters }) => {
+  const win = BrowserWindow.fromWebContents(event.sender)
+  const { canceled, filePath } = await dialog.showSaveDialog(win, {
+    defaultPath: path.join(app.getPath('pictures'), fileName),
+    filters
+  })
+  if (canceled || !filePath) return null
+  await fs.promises.writeFile(filePath, Buffer.from(data))
+  return filePath
+})
+
 app.whenReady().then(() => {
   createWindow()
 
@@ -0,0 +1,6 @@
+const { contextBridge, ipcRenderer } = require('electron')
+
+// 给页面提供原生保存对话框（保存截图、录像）
+contextBridge.exposeInMainWorld('electronAPI', {
+  saveFile: ({ data, fileName, filters }) => ipcRenderer.invoke('save-file', { data, fileName, filters })
+})
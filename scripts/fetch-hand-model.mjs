@@ -0,0 +1,48 @@
+// Download the MediaPipe hand landmarker model into public/ so it ships with
+// the Vite build and the Electron package. Skips the download when the file
+// already exists; a failed download only warns, and the app then falls back
+// to loading the model from Google's CDN at runtime.
+
+import fs from 'node:fs'
+import https from 'node:https'
+import { fileURLToPath } from 'node:url'
+
+const MODEL_URL = 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task'
+const TARGET = fileURLToPath(new URL('../public/mediapipe/hand_landmarker.task', import.meta.url))
+
+function download(url, file, redirects = 3) {
+  return new Promise((resolve, reject) => {
+    https.get(url, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects > 0) {
+        res.resume()
+        download(res.headers.location, file, redirects - 1).then(resolve, reject)
+        return
+      }
+      if (res.statusCode !== 200) {
+        res.resume()
+        reject(new Error(`HTTP ${res.statusCode}`))
+        return
+      }
+      const out = fs.createWriteStream(file)
+      res.pipe(out)
+      out.on('finish', () => out.close(resolve))
+      out.on('error', reject)
+    }).on('error', reject)
+  })
+}
+
+if (fs.existsSync(TARGET)) {
+  console.log('Hand model already present:', TARGET)
+} else {
+  fs.mkdirSync(new URL('../public/mediapipe/', import.meta.url), { recursive: true })
+  const partial = `${TARGET}.download`
+  try {
+    await download(MODEL_URL, partial)
+    fs.renameSync(partial, TARGET)
+    console.log('Downloaded hand model to', TARGET)
+  } catch (err) {
+    fs.rmSync(partial, { force: true })
+    console.warn(`Could not download the hand model (${err.message}).`)
+    console.warn('The build will load it from the CDN at runtime instead.')
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * Audio-reactive lighting - a Web Audio analyser on the background music's
+ * <audio> elements, reduced every frame to three levels (0..1) the scene reads:
+ *
+ *   bass      - particle size and brightness pulse
+ *   loudness  - the top star's light and glow
+ *   treble    - star particle twinkle
+ *
+ * The levels fall back to zero while the music is paused or muted. The same
+ * analyser also taps the music for video recordings.
+ */
+
+const REACTIVITY_KEY = 'christmasAudioReactivity'
+export const DEFAULT_REACTIVITY = 1
+export const MAX_REACTIVITY = 2
+
+const FFT_SIZE = 512
+const BASS_HZ = [20, 150]
+const TREBLE_HZ = [4000, 12000]
+const ATTACK = 0.6 // Fraction of a rise taken per frame
+const RELEASE = 5 // Falls at this rate per second
+
+export function loadReactivity() {
+  const saved = parseFloat(localStorage.getItem(REACTIVITY_KEY))
+  return Number.isFinite(saved) ? Math.min(Math.max(saved, 0), MAX_REACTIVITY) : DEFAULT_REACTIVITY
+}
+
+export function saveReactivity(reactivity) {
+  localStorage.setItem(REACTIVITY_KEY, String(reactivity))
+}
+
+export function createAudioAnalyser() {
+  let analyser = null
+  let audioElements = []
+  let spectrum = null
+  let waveform = null
+  let reactivity = loadReactivity()
+  const levels = { bass: 0, loudness: 0, treble: 0 }
+  const targets = { bass: 0, loudness: 0, treble: 0 }
+
+  // Average spectrum level between two frequencies
+  const band = ([low, high]) => {
+    const binHz = analyser.context.sampleRate / analyser.fftSize
+    const from = Math.max(0, Math.floor(low / binHz))
+    const to = Math.min(spectrum.length - 1, Math.ceil(high / binHz))
+    let sum = 0
+    for (let i = from; i <= to; i++) sum += spectrum[i]
+    return sum / ((to - from + 1) * 255)
+  }
+
+  return {
+    levels,
+
+    /**
+     * Route the music's <audio> elements through the analyser. Browsers only
+     * start an AudioContext after a user gesture, and once connected the music
+     * only plays through the context - so a context that can't run yet is
+     * dropped and this is retried on the next play or interaction. Returns true once connected.
+     */
+    connect(elements) {
+      if (analyser) {
+        if (analyser.context.state === 'suspended') analyser.context.resume().catch(() => {})
+        return true
+      }
+      const AudioContext = window.AudioContext || window.webkitAudioContext
+      if (!AudioContext || elements.length === 0 || !elements.every(Boolean)) return false
+
+      const context = new AudioContext()
+      if (context.state !== 'running') {
+        context.close()
+        return false
+      }
+      try {
+        analyser = context.createAnalyser()
+        analyser.fftSize = FFT_SIZE
+        analyser.smoothingTimeConstant = 0.6
+        elements.forEach(element => context.createMediaElementSource(element).connect(analyser))
+        analyser.connect(context.destination)
+      } catch (err) {
+        console.warn('Audio analyser unavailable:', err)
+        analyser = null
+        context.close()
+        return false
+      }
+      audioElements = elements
+      spectrum = new Uint8Array(analyser.frequencyBinCount)
+      waveform = new Uint8Array(analyser.fftSize)
+      return true
+    },
+
+    /**
+     * A MediaStream track carrying the music, for recording video. Needs
+     * connect() first; call release() when done. Returns null if unavailable.
+     */
+    createRecordingTrack() {
+      if (!analyser) return null
+      const destination = analyser.context.createMediaStreamDestination()
+      analyser.connect(destination)
+      const [track] = destination.stream.getAudioTracks()
+      return {
+        track,
+        release() {
+          analyser.disconnect(destination)
+          track.stop()
+        },
+      }
+    },
+
+    // 0 switches the reaction off
+    setReactivity(value) {
+      reactivity = value
+    },
+
+    // Call once per frame
+    update(delta) {
+      const playing = analyser && reactivity > 0 &&
+        audioElements.some(audio => !audio.paused && !audio.muted && audio.volume > 0)
+      if (playing) {
+        analyser.getByteFrequencyData(spectrum)
+        analyser.getByteTimeDomainData(waveform)
+        let power = 0
+        for (let i = 0; i < waveform.length; i++) {
+          const sample = (waveform[i] - 128) / 128
+          power += sample * sample
+        }
+        // Squaring the bass makes beats stand out from a steady bass line
+        targets.bass = Math.min(1, band(BASS_HZ) ** 2 * reactivity)
+        targets.loudness = Math.min(1, Math.sqrt(power / waveform.length) * 3 * reactivity)
+        targets.treble = Math.min(1, band(TREBLE_HZ) * 3 * reactivity)
+      } else {
+        targets.bass = targets.loudness = targets.treble = 0
+      }
+
+      const release = Math.min(1, delta * RELEASE)
+      Object.keys(levels).forEach(key => {
+        const rising = targets[key] > levels[key]
+        levels[key] += (targets[key] - levels[key]) * (rising ? ATTACK : release)
+      })
+    },
+  }
+}
@@ -8,348 +8,63 @@
  * Licensed under the MIT License
  */
 
-import React, { useRef, useMemo, useEffect, useState } from 'react'
+import React, { useRef, useMemo, useEffect, useState, useCallback, useDeferredValue } from 'react'
 import { Canvas, useFrame, useThree } from '@react-three/fiber'
-import { OrbitControls } from '@react-three/drei'
+import { Html, OrbitControls } from '@react-three/drei'
 import * as THREE from 'three'
-import { FilesetResolver, HandLandmarker } from '@mediapipe/tasks-vision'
-
-// Base URL for assets (handles GitHub Pages paths)
-const BASE_URL = import.meta.env.BASE_URL || '/'
-
-// Configuration
-const CONFIG = {
-  TREE_POINTS: 50000,
-  GROUND_POINTS: 4000,
-  STAR_POINTS: 1200,
-  HEART_POINTS: 1000,
-  SNOW2D_POINTS: 10,
-  TREE_HEIGHT: 12.0,
-  CAM_DIST: 27,
-  CAM_HEIGHT: 5.0,
-  PITCH: -0.25,
-}
-
-// Color themes
-const COLOR_THEMES = {
-  classic: {
-    name: 'Pink & White',
-    tree: { deep: [255, 60, 180], medium: [255, 100, 190], light: [255, 160, 200], white: true },
-    ground: { r: [100, 150], g: [150, 200], b: 255 },
-    heart: [255, 220, 50],
-    stars: [215, 255],
-    music: `${BASE_URL}calm-christmas-piano-262888.mp3`,
-  },
-  traditional: {
-    name: 'Christmas Green',
-    tree: { deep: [0, 80, 0], medium: [34, 139, 34], light: [50, 150, 50], white: true },
-    ground: { r: [34, 80], g: [80, 120], b: [34, 60] },
-    heart: [255, 215, 0],
-    stars: [200, 255],
-    music: `${BASE_URL}we-wish-you-a-merry-christmas-452819.mp3`,
-  },
-  red: {
-    name: 'Vermillion Red',
-    tree: { deep: [220, 20, 60], medium: [255, 47, 0], light: [255, 99, 71], white: false },
-    ground: { r: [139, 200], g: [0, 50], b: [0, 30] },
-    heart: [255, 215, 0],
-    stars: [255, 200],
-    music: `${BASE_URL}merry-christmas-261280.mp3`,
-  },
-  blue: {
-    name: 'Ice Blue',
-    tree: { deep: [0, 100, 255], medium: [50, 150, 255], light: [100, 200, 255], white: true },
-    ground: { r: [0, 50], g: [50, 150], b: 255 },
-    heart: [255, 255, 200],
-    stars: [150, 255],
-    music: `${BASE_URL}winter-day-christmas-holidays-270802.mp3`,
-  },
-  purple: {
-    name: 'Purple Dream',
-    tree: { deep: [138, 43, 226], medium: [147, 112, 219], light: [186, 85, 211], white: false },
-    ground: { r: [75, 150], g: [0, 80], b: [130, 255] },
-    heart: [255, 215, 0],
-    stars: [180, 255],
-    music: `${BASE_URL}christmas-jazz-short-450773.mp3`,
-  },
-}
-
-// Generate tree particles with dual positions (tree + scatter)
-function generateTreePoints(theme) {
-  const points = []
-  const loops = 9
-  const spiralN = Math.floor(CONFIG.TREE_POINTS * 0.7)
-  const colors = theme.tree
-
-  // 70% spiral lights
-  for (let i = 0; i < spiralN; i++) {
-    const u = Math.random()
-    const h = Math.pow(u, 1.6)
-    const y = CONFIG.TREE_HEIGHT * h + 0.2
-
-    let baseR = Math.pow(1 - h, 1.1) * 3.2
-    const branchWave = Math.max(0, Math.sin((h * 5.8 + 0.15) * Math.PI * 2))
-    const branchFactor = 1.0 + 0.65 * branchWave
-    baseR *= branchFactor
-
-    const t = u * loops * Math.PI * 2
-    const angle = t + (Math.random() - 0.5) * 0.44
-    const r = baseR * (0.85 + Math.random() * 0.23)
-
-    const x = Math.cos(angle) * r
-    const z = Math.sin(angle) * r
-
-    // Calculate scatter position (tight galaxy spiral arms)
-    const armIndex = Math.floor(Math.random() * 2) // 2 spiral arms
-    const armAngleOffset = armIndex * Math.PI
-    const distFromCenter = 2 + Math.random() * 12 // Tighter radius
-    const spiralTightness = 0.5 // Tighter spiral
-    const armAngle = armAngleOffset + spiralTightness * distFromCenter + (Math.random() - 0.5) * 0.4
-    
-    const scatterPos = [
-      Math.cos(armAngle) * distFromCenter + (Math.random() - 0.5) * 1.0,
-      -2 + (Math.random() - 0.5) * 0.4, // Thinner disc
-      Math.sin(armAngle) * distFromCenter + (Math.random() - 0.5) * 1.0
-    ]
-
-    let color
-    const colorRand = Math.random()
-    // Add tiny red dots for traditional theme
-    if (colors.deep[0] === 0 && colors.deep[1] === 80 && colors.deep[2] === 0 && colorRand < 0.10) {
-      // Small chance of red dots for traditional green theme only
-      color = new THREE.Color(200/255, 20/255, 20/255)
-    } else if (colorRand < 0.15) {
-      // Deep color
-      const [r, g, b] = colors.deep
-      color = new THREE.Color(r/255, (g + Math.random() * 20)/255, (b + Math.random() * 20)/255)
-    } else if (colorRand < 0.3) {
-      // Medium color
-      const [r, g, b] = colors.medium
-      color = new THREE.Color(r/255, (g + Math.random() * 20)/255, (b + Math.random() * 20)/255)
-    } else if (colorRand < 0.45) {
-      // Light color
-      const [r, g, b] = colors.light
-      color = new THREE.Color(r/255, (g + Math.random() * 20)/255, (b + Math.random() * 20)/255)
-    } else {
-      // White (increased probability)
-      if (colors.white) {
-        // For traditional theme, use deeper green instead of white
-        if (colors.deep[0] === 0 && colors.deep[1] === 80 && colors.deep[2] === 0) {
-          // Traditional green theme only - use much deeper green
-          const brightness = Math.floor(Math.random() * 25 + 60)
-          color = new THREE.Color(brightness * 0.15/255, brightness/255, brightness * 0.15/255)
-        } else {
-          // Other themes - use normal white
-          const brightness = Math.floor(Math.random() * 50 + 205)
-          color = new THREE.Color(brightness/255, brightness/255, brightness/255)
-        }
-      } else {
-        const [r, g, b] = colors.light
-        color = new THREE.Color((r + 30)/255, (g + 30)/255, (b + 30)/255)
-      }
-    }
-
-    points.push({ position: [x, y, z], scatterPos, color })
-  }
-
-  // 30% fill
-  const fillN = CONFIG.TREE_POINTS - spiralN
-  for (let i = 0; i < fillN; i++) {
-    const h = Math.pow(Math.random(), 1.9)
-    const y = CONFIG.TREE_HEIGHT * h + 0.2 + (Math.random() - 0.5) * 0.16
-
-    let baseR = Math.pow(1 - h, 1.1) * 4.3
-    const branchWave = Math.max(0, Math.sin((h * 5.8 + 0.15) * Math.PI * 2))
-    const branchFactor = 1.0 + 0.65 * branchWave
-    baseR *= branchFactor
-
-    const r = baseR * Math.sqrt(Math.random())
-    const angle = Math.random() * Math.PI * 2
-
-    const x = Math.cos(angle) * r + (Math.random() - 0.5) * 0.16
-    const z = Math.sin(angle) * r + (Math.random() - 0.5) * 0.16
-
-    // Calculate scatter position (extremely tight galaxy spiral arms)
-    const armIndex = Math.floor(Math.random() * 2) // 2 spiral arms
-    const armAngleOffset = armIndex * Math.PI
-    // Weight distribution towards center - more points in inner region
-    const distRandom = Math.random()
-    const distFromCenter = distRandom < 0.5 ? 0.3 + Math.random() * 3 : 3 + Math.random() * 8
-    const spiralTightness = 2.5 // Even tighter spiral
-    const armAngle = armAngleOffset + spiralTightness * distFromCenter + (Math.random() - 0.5) * 0.1
-    
-    const scatterPos = [
-      Math.cos(armAngle) * distFromCenter + (Math.random() - 0.5) * 0.15,
-      -2 + (Math.random() - 0.5) * 0.12, // Flatter
-      Math.sin(armAngle) * distFromCenter + (Math.random() - 0.5) * 0.15
-    ]
-
-    // Generate heart position (3D heart shape) - elevated to star level
-    const t = Math.random() * Math.PI * 2
-    const heartScale = 3.0
-    const heartX = heartScale * 16 * Math.pow(Math.sin(t), 3)
-    const heartY = heartScale * (13 * Math.cos(t) - 5 * Math.cos(2*t) - 2 * Math.cos(3*t) - Math.cos(4*t))
-    const heartZ = (Math.random() - 0.5) * 2.0
-    const heartPos = [heartX / 16, heartY / 16 + 12, heartZ] // +12 to elevate higher, stars inside heart
-
-    let color
-    const colorRand = Math.random()
-    if (colorRand < 0.25) {
-      const [r, g, b] = colors.deep
-      color = new THREE.Color(r/255, (g + Math.random() * 20)/255, (b + Math.random() * 20)/255)
-    } else if (colorRand < 0.5) {
-      const [r, g, b] = colors.medium
-      color = new THREE.Color(r/255, (g + Math.random() * 20)/255, (b + Math.random() * 20)/255)
-    } else if (colorRand < 0.75) {
-      const [r, g, b] = colors.light
-      color = new THREE.Color(r/255, (g + Math.random() * 20)/255, (b + Math.random() * 20)/255)
-    } else {
-      if (colors.white) {
-        // For traditional theme, use deeper green instead of white
-        if (colors.deep[0] === 0 && colors.deep[1] === 80 && colors.deep[2] === 0) {
-          // Traditional green theme only - use deeper green
-          const brightness = Math.floor(Math.random() * 30 + 100)
-          color = new THREE.Color(brightness * 0.2/255, brightness/255, brightness * 0.2/255)
-        } else {
-          // Other themes - use normal white
-          const brightness = Math.floor(Math.random() * 50 + 205)
-          color = new THREE.Color(brightness/255, brightness/255, brightness/255)
-        }
-      } else {
-        const [r, g, b] = colors.light
-        color = new THREE.Color((r + 40)/255, (g + 40)/255, (b + 40)/255)
-      }
-    }
-
-    points.push({ position: [x, y, z], scatterPos, heartPos, color })
+import { CONFIG } from '../config'
+import { DEFAULT_FORMATION, getFormation, getFormations, placePhoto } from '../formations'
+import { COLOR_THEMES, createCustomThemeId, loadCustomThemes, saveCustomThemes } from '../themes'
+import { createRandom, parseSeed, randomSeed } from '../random'
+import { GROUND_RINGS } from '../particleLayers'
+import { THEME_FADE_SECONDS, createColorFade, fadeProgress } from '../themeFade'
+import { createParticleGenerator } from '../particleGenerator'
+import { AUTO_QUALITY, BATTERY_SAVER_FPS, QUALITY_LEVELS, activeQualityLevel, createFrameRateMonitor, loadQualitySettings, particleCounts, saveQualitySettings, stepQualityLevel } from '../quality'
+import { buildShareUrl, readSharedScene } from '../share'
+import { MAX_REACTIVITY, createAudioAnalyser, loadReactivity, saveReactivity } from '../audioReactive'
+import { BUNDLED_TRACKS, createTrackRecord, deleteTrack, loadMusicSettings, loadTrackRecords, putTrack, saveMusicSettings, trackForTheme } from '../musicLibrary'
+import { createMusicPlayer } from '../musicPlayer'
+import { canvasToBlob, drawCardOverlay, imageSize, renderScene } from '../screenshot'
+import { fileTimestamp, saveBlob } from '../saveFile'
+import { recordScene } from '../videoRecorder'
+import { FORCE_MODES, FORCE_RADIUS, FORCE_STRENGTH, createForceFieldState, stepForceField } from '../forceField'
+import { createHandLandmarker } from '../handLandmarker'
+import { createDetectionStats, drawHandOverlay } from '../handOverlay'
+import { createGestureRecorder, downloadRecording, loadRecording, parseRecording, playRecording } from '../gestureRecording'
+import { DEFAULT_CALIBRATION, GESTURES, createGestureClassifier, createTwoHandTracker, loadCalibration, saveCalibration, splitHands } from '../gestures'
+import { APP_ACTIONS, HANDS, NO_ACTION, loadBindings, loadModeHand, modeAction, saveBindings, saveModeHand } from '../gestureBindings'
+import { KEY_ACTIONS, findKeyCommand, getKeyCommands } from '../keyboard'
+import { attachTouchGestures } from '../touchGestures'
+import { deletePhotos, formatBytes, getStorageEstimate, loadPhotoRecords, migrateLegacyPhotos, putPhoto, requestPersistentStorage, updatePhotos } from '../photoStore'
+import ThemeEditor from './ThemeEditor'
+import PhotoManager from './PhotoManager'
+import GestureCalibration from './GestureCalibration'
+import GestureSettings from './GestureSettings'
+import GestureDiagnostics from './GestureDiagnostics'
+import KeyboardHelp from './KeyboardHelp'
+import ModeSwitcher from './ModeSwitcher'
+import MusicPanel from './MusicPanel'
+import ScreenshotPanel from './ScreenshotPanel'
+import VideoPanel from './VideoPanel'
+
+// Decode an image Blob/File into an <img> usable as a texture source
+async function loadImageBlob(blob) {
+  const url = URL.createObjectURL(blob)
+  try {
+    const img = new Image()
+    img.src = url
+    await img.decode()
+    return img
+  } finally {
+    URL.revokeObjectURL(url)
   }
-
-  return points
-}
-
-// Generate ground particles
-function generateGroundPoints(theme) {
-  const points = []
-  const rings = [4.6, 6.0, 7.4, 8.8, 10.2, 11.4]
-  const ground = theme.ground
-
-  for (let i = 0; i < CONFIG.GROUND_POINTS; i++) {
-    const ring = rings[Math.floor(Math.random() * rings.length)]
-    const r = ring + (Math.random() - 0.5) * 0.6
-    const theta = Math.random() * Math.PI * 2
-    const x = Math.cos(theta) * r
-    const z = Math.sin(theta) * r
-    const y = -0.25
-
-    // Scatter position - ultra-tight spiral with bright core
-    const useCenter = Math.random() < 0.85 // 85% in center and inner spiral
-    let scatterPos
-    
-    if (useCenter) {
-      // Bright dense core - slightly larger for more visible density
-      const rCore = Math.random() * Math.random() * 2.0 // Dense but visible core
-      const thetaCore = Math.random() * Math.PI * 2
-      scatterPos = [
-        Math.cos(thetaCore) * rCore,
-        -2 + (Math.random() - 0.5) * 0.2,
-        Math.sin(thetaCore) * rCore
-      ]
-    } else {
-      // Tight spiral arms extending from core
-      const armIndex = Math.floor(Math.random() * 2)
-      const armAngleOffset = armIndex * Math.PI
-      const distFromCenter = 1.5 + Math.random() * 9
-      const spiralTightness = 2.3 // Even tighter spiral
-      const armAngle = armAngleOffset + spiralTightness * distFromCenter + (Math.random() - 0.5) * 0.1
-      
-      scatterPos = [
-        Math.cos(armAngle) * distFromCenter + (Math.random() - 0.5) * 0.2,
-        -2 + (Math.random() - 0.5) * 0.15,
-        Math.sin(armAngle) * distFromCenter + (Math.random() - 0.5) * 0.2
-      ]
-    }
-
-    // Generate heart position for ground particles - elevated to star level
-    const t = Math.random() * Math.PI * 2
-    const heartScale = 3.0
-    const heartX = heartScale * 16 * Math.pow(Math.sin(t), 3)
-    const heartY = heartScale * (13 * Math.cos(t) - 5 * Math.cos(2*t) - 2 * Math.cos(3*t) - Math.cos(4*t))
-    const heartZ = (Math.random() - 0.5) * 2.0
-    const heartPos = [heartX / 16, heartY / 16 + 12, heartZ] // +12 to elevate higher, stars inside heart
-
-    const colorRand = Math.random()
-    let color
-    if (colorRand < 0.3) {
-      const r = Math.floor(Math.random() * (ground.r[1] - ground.r[0]) + ground.r[0])
-      const g = Math.floor(Math.random() * (ground.g[1] - ground.g[0]) + ground.g[0])
-      const b = Array.isArray(ground.b) ? Math.floor(Math.random() * (ground.b[1] - ground.b[0]) + ground.b[0]) : ground.b
-      color = new THREE.Color(r/255, g/255, b/255)
-    } else if (colorRand < 0.6) {
-      const r = Math.floor(Math.random() * 30 + ground.r[0])
-      const g = Math.floor(Math.random() * 40 + ground.g[0])
-      const b = Array.isArray(ground.b) ? ground.b[1] : ground.b
-      color = new THREE.Color(r/255, g/255, b/255)
-    } else {
-      const r = Math.floor(Math.random() * 30 + Math.min(150, ground.r[1]))
-      const g = Math.floor(Math.random() * 30 + Math.min(200, ground.g[1]))
-      const b = Array.isArray(ground.b) ? ground.b[1] : ground.b
-      color = new THREE.Color(r/255, g/255, b/255)
-    }
-
-    points.push({ position: [x, y, z], scatterPos, heartPos, color })
-  }
-
-  return points
-}
-
-// Generate star points
-function generateStarPoints(theme) {
-  const points = []
-  const [min, max] = theme.stars
-  
-  // Create small hearts scattered around - each heart is made of multiple particles
-  const numHearts = 15 // Number of small hearts
-  const particlesPerHeart = Math.floor(CONFIG.STAR_POINTS / numHearts)
-  
-  for (let h = 0; h < numHearts; h++) {
-    // Random position for each small heart
-    const heartCenterX = (Math.random() - 0.5) * 30
-    const heartCenterY = 5 + Math.random() * 10
-    const heartCenterZ = (Math.random() - 0.5) * 30
-    const heartScale = 0.5 + Math.random() * 0.5 // Small hearts
-    
-    for (let i = 0; i < particlesPerHeart; i++) {
-      // Original star position
-      const x = (Math.random() - 0.5) * 36
-      const z = (Math.random() - 0.5) * 36
-      const y = 3 + Math.random() * 15
-
-      // Keep stars in place during scatter mode
-      const scatterPos = [x, y, z]
-      
-      // Heart outline position - particles form heart shape
-      const t = (i / particlesPerHeart) * Math.PI * 2
-      const heartX = heartScale * 16 * Math.pow(Math.sin(t), 3)
-      const heartY = heartScale * (13 * Math.cos(t) - 5 * Math.cos(2*t) - 2 * Math.cos(3*t) - Math.cos(4*t))
-      const heartPos = [
-        heartX / 16 + heartCenterX,
-        heartY / 16 + heartCenterY,
-        heartCenterZ
-      ]
-
-      const base = Math.floor(Math.random() * (max - min) + min)
-      const color = new THREE.Color(base/255, base/255, 255/255)
-
-      points.push({ position: [x, y, z], scatterPos, heartPos, color })
-    }
-  }
-
-  return points
 }
 
 // Generate star mesh (actual 3D star geometry, not particles)
-function StarMesh({ theme }) {
+function StarMesh({ theme, audioLevels }) {
   const starRef = useRef()
+  const materialRef = useRef()
+  const lightRef = useRef()
   const [r, g, b] = theme.heart
   
   const starGeometry = useMemo(() => {
@@ -386,19 +101,40 @@ function StarMesh({ theme }) {
     Math.max(0, b - 50)/255
   ), [r, g, b])
   
-  // Gentle rotation animation
-  useFrame((state) => {
+  // Theme changes fade the star and its light to the new colour
+  const colorFade = useMemo(() => createColorFade(starColor), [])
+  const emissiveFade = useMemo(() => createColorFade(emissiveColor), [])
+
+  useEffect(() => {
+    colorFade.fadeTo(starColor)
+    emissiveFade.fadeTo(emissiveColor)
+  }, [starColor, emissiveColor, colorFade, emissiveFade])
+
+  // Gentle rotation animation; the light and glow follow the music's loudness
+  useFrame((state, delta) => {
     if (starRef.current) {
       starRef.current.rotation.z += 0.005
     }
+    colorFade.update(delta)
+    emissiveFade.update(delta)
+    if (materialRef.current && lightRef.current) {
+      materialRef.current.color.copy(colorFade.color)
+      materialRef.current.emissive.copy(emissiveFade.color)
+      lightRef.current.color.copy(colorFade.color)
+      if (audioLevels) {
+        materialRef.current.emissiveIntensity = 1.8 * (1 + audioLevels.loudness)
+        lightRef.current.intensity = 2.5 * (1 + 1.5 * audioLevels.loudness)
+      }
+    }
   })
   
   return (
     <group position={[0, CONFIG.TREE_HEIGHT + 0.4, 0]}>
       <mesh ref={starRef} geometry={starGeometry} rotation={[0, 0, Math.PI]}>
         <meshStandardMaterial
-          color={starColor}
-          emissive={emissiveColor}
+          ref={materialRef}
+          color={colorFade.color}
+          emissive={emissiveFade.color}
           emissiveIntensity={1.8}
           metalness={0.8}
           roughness={0.15}
@@ -416,8 +152,9 @@ function StarMesh({ theme }) {
       
       {/* Point light at star */}
       <pointLight
+        ref={lightRef}
         position={[0, 0, 0.3]}
-        color={starColor}
+        color={colorFade.color}
         intensity={2.5}
         distance={12}
       />
@@ -430,185 +167,336 @@ function generateHeartPoints(theme) {
   return [] // No longer using particle-based star
 }
 
-// Particle system component with animation
-function Particles({ points, mode }) {
-  const meshRef = useRef()
-  const positionsRef = useRef(null)
+// Build the morph shader chunks for the registered formations. Formations
+// without a sampler are the tree itself and reuse the position attribute.
+function buildMorphShader(formations) {
+  const attributeName = (f, i) => (f.createSampler ? `formationTarget${i}` : 'position')
+  const header = [
+    ...formations.map((f, i) => (f.createSampler ? `attribute vec3 ${attributeName(f, i)};` : '')),
+    `uniform float uMorph[${formations.length}];`,
+  ].join('\n')
+  const blend = formations.map((f, i) => `${attributeName(f, i)} * uMorph[${i}]`).join(' + ')
+
+  // forceOffset: per-particle push from the hand force field
+  return {
+    header: `${header}\nattribute vec3 forceOffset;`,
+    begin: `vec3 transformed = ${blend} + forceOffset;`,
+  }
+}
 
-  const [colors] = useMemo(() => {
-    const colors = new Float32Array(points.length * 3)
+// Music reaction: uPulse grows the points, uGlow brightens them and uTwinkle
+// flickers each point at its own phase
+const AUDIO_VERTEX_HEADER = `
+uniform float uPulse;
+uniform float uGlow;
+uniform float uTwinkle;
+uniform float uTime;
+varying float vAudioGain;`
 
-    points.forEach((p, i) => {
-      colors[i * 3] = p.color.r
-      colors[i * 3 + 1] = p.color.g
-      colors[i * 3 + 2] = p.color.b
-    })
+const AUDIO_VERTEX = `gl_PointSize = size * (1.0 + uPulse);
+vAudioGain = max(0.0, 1.0 + uGlow + uTwinkle * sin(uTime * 12.0 + dot(position, vec3(12.9, 7.1, 4.3))));`
 
-    return [colors]
-  }, [points])
+const AUDIO_FRAGMENT = `#include <color_fragment>
+diffuseColor.rgb *= vAudioGain;`
 
-  // Initialize positions
-  useMemo(() => {
-    const positions = new Float32Array(points.length * 3)
-    points.forEach((p, i) => {
-      positions[i * 3] = p.position[0]
-      positions[i * 3 + 1] = p.position[1]
-      positions[i * 3 + 2] = p.position[2]
-    })
-    positionsRef.current = positions
-    return positions
-  }, [points])
+// Theme cross-fade: the color attribute holds the old colours, colorTarget the new
+const COLOR_FADE_HEADER = `
+attribute vec3 colorTarget;
+uniform float uColorMix;`
+
+const COLOR_FADE_VERTEX = `#include <color_vertex>
+vColor = mix(color, colorTarget, uColorMix);`
+
+// Particle system component with animation
+// Every registered formation is a separate buffer attribute, blended on the GPU
+function Particles({ data, colors, optionTargets, mode, forceField, audioLevels, twinkle = false }) {
+  const pointsRef = useRef()
+  const offsetAttributeRef = useRef()
+  const formations = useMemo(() => getFormations(), [])
+  const uniforms = useMemo(() => ({
+    uMorph: { value: formations.map(f => (f.id === DEFAULT_FORMATION ? 1 : 0)) },
+    uPulse: { value: 0 },
+    uGlow: { value: 0 },
+    uTwinkle: { value: 0 },
+    uTime: { value: 0 },
+    uColorMix: { value: 1 },
+  }), [formations])
+
+  // Colours fade from `from` to `to`; a new layout starts on its colours straight away
+  const colorFade = useMemo(() => ({
+    colors,
+    from: Float32Array.from(colors),
+    to: Float32Array.from(colors),
+    elapsed: THEME_FADE_SECONDS,
+  }), [data])
+  const fromColorAttributeRef = useRef()
+  const toColorAttributeRef = useRef()
 
-  // Animate positions based on mode
+  useEffect(() => {
+    if (colorFade.colors === colors) return
+    // Fade on from whatever is showing now, even mid-fade
+    const { from, to } = colorFade
+    const t = fadeProgress(colorFade.elapsed)
+    for (let i = 0; i < from.length; i++) from[i] += (to[i] - from[i]) * t
+    to.set(colors)
+    colorFade.colors = colors
+    colorFade.elapsed = 0
+    uniforms.uColorMix.value = 0
+    fromColorAttributeRef.current.needsUpdate = true
+    toColorAttributeRef.current.needsUpdate = true
+  }, [colors, colorFade, uniforms])
+
+  // Force field simulation state, plus the blended formation positions it pushes against
+  const force = useMemo(() => ({
+    ...createForceFieldState(data.count),
+    base: new Float32Array(data.count * 3),
+  }), [data])
+
+  // Generated along with the layer, or sampled for the scene options - until
+  // then a formation reading options holds the tree shape
+  const targets = useMemo(() => formations.map((formation) => {
+    if (!formation.createSampler) return null
+    return data.targets[formation.id] || optionTargets?.[formation.id] || data.positions
+  }), [data, formations, optionTargets])
+
+  const onBeforeCompile = useMemo(() => (shader) => {
+    const { header, begin } = buildMorphShader(formations)
+    Object.assign(shader.uniforms, uniforms)
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', `#include <common>\n${header}\n${AUDIO_VERTEX_HEADER}\n${COLOR_FADE_HEADER}`)
+      .replace('#include <begin_vertex>', begin)
+      .replace('#include <color_vertex>', COLOR_FADE_VERTEX)
+      .replace('gl_PointSize = size;', AUDIO_VERTEX)
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', '#include <common>\nvarying float vAudioGain;')
+      .replace('#include <color_fragment>', AUDIO_FRAGMENT)
+  }, [formations, uniforms])
+
+  const cacheKey = useMemo(() => () => formations.map(f => f.id).join('|'), [formations])
+
+  // Ease the morph weights towards the current mode - one float per formation
   useFrame((state, delta) => {
-    if (meshRef.current && positionsRef.current) {
-      const geometry = meshRef.current.geometry
-      const positions = geometry.attributes.position.array
-      const lerpSpeed = 2.0 * delta
-
-      points.forEach((p, i) => {
-        const idx = i * 3
-        let targetX, targetY, targetZ
-
-        if (mode === 'HEART' && p.heartPos) {
-          // Heart mode - move to heart shape
-          targetX = p.heartPos[0]
-          targetY = p.heartPos[1]
-          targetZ = p.heartPos[2]
-        } else if (mode === 'SCATTER' && p.scatterPos) {
-          // Scatter mode - move to sphere positions
-          targetX = p.scatterPos[0]
-          targetY = p.scatterPos[1]
-          targetZ = p.scatterPos[2]
-        } else {
-          // Tree mode - return to tree positions
-          targetX = p.position[0]
-          targetY = p.position[1]
-          targetZ = p.position[2]
-        }
+    const weights = uniforms.uMorph.value
+    const activeId = getFormation(mode).id
+    const lerpSpeed = 2.0 * delta
+    formations.forEach((f, i) => {
+      const target = f.id === activeId ? 1 : 0
+      weights[i] += (target - weights[i]) * lerpSpeed
+    })
 
-        // Lerp to target position
-        positions[idx] += (targetX - positions[idx]) * lerpSpeed
-        positions[idx + 1] += (targetY - positions[idx + 1]) * lerpSpeed
-        positions[idx + 2] += (targetZ - positions[idx + 2]) * lerpSpeed
-      })
+    if (colorFade.elapsed < THEME_FADE_SECONDS) {
+      colorFade.elapsed += delta
+      uniforms.uColorMix.value = fadeProgress(colorFade.elapsed)
+    }
+
+    if (audioLevels) {
+      uniforms.uPulse.value = audioLevels.bass * 0.6
+      uniforms.uGlow.value = audioLevels.bass * 0.5
+      uniforms.uTwinkle.value = twinkle ? audioLevels.treble * 1.5 : 0
+      uniforms.uTime.value = state.clock.elapsedTime
+    }
+
+    // Hand force field - only simulate while the hand is in range or particles are still settling
+    const center = forceField?.center
+    if (!center && !force.moving) return
+
+    // Same blend as the shader, on the CPU
+    const { base } = force
+    base.fill(0)
+    formations.forEach((f, i) => {
+      const w = weights[i]
+      if (w < 1e-3) return
+      const source = targets[i] || data.positions
+      for (let j = 0; j < base.length; j++) base[j] += source[j] * w
+    })
 
-      geometry.attributes.position.needsUpdate = true
+    const hand = center && {
+      center: pointsRef.current.worldToLocal(center.clone()).toArray(),
+      radius: FORCE_RADIUS,
+      strength: forceField.strength,
     }
+    stepForceField(force, base, hand, delta)
+    offsetAttributeRef.current.needsUpdate = true
   })
 
   return (
-    <points ref={meshRef}>
+    // Bounding sphere only covers the tree shape, so skip frustum culling
+    <points ref={pointsRef} frustumCulled={false}>
       <bufferGeometry>
-        <bufferAttribute
-          attach="attributes-position"
-          count={positionsRef.current ? positionsRef.current.length / 3 : 0}
-          array={positionsRef.current}
-          itemSize={3}
-          usage={THREE.DynamicDrawUsage}
-        />
-        <bufferAttribute
-          attach="attributes-color"
-          count={colors.length / 3}
-          args={[colors, 3]}
-        />
+        <bufferAttribute attach="attributes-position" args={[data.positions, 3]} />
+        <bufferAttribute ref={offsetAttributeRef} attach="attributes-forceOffset" args={[force.offsets, 3]} usage={THREE.DynamicDrawUsage} />
+        {targets.map((target, i) => target && (
+          <bufferAttribute key={formations[i].id} attach={`attributes-formationTarget${i}`} args={[target, 3]} />
+        ))}
+        <bufferAttribute ref={fromColorAttributeRef} attach="attributes-color" args={[colorFade.from, 3]} />
+        <bufferAttribute ref={toColorAttributeRef} attach="attributes-colorTarget" args={[colorFade.to, 3]} />
       </bufferGeometry>
-      <pointsMaterial size={0.2} vertexColors={true} sizeAttenuation={true} transparent={true} opacity={0.95} />
+      <pointsMaterial
+        size={0.2}
+        vertexColors={true}
+        sizeAttenuation={true}
+        transparent={true}
+        opacity={0.95}
+        onBeforeCompile={onBeforeCompile}
+        customProgramCacheKey={cacheKey}
+      />
     </points>
   )
 }
 
-// Snowflakes component (2D overlay, no Three.js hooks)
-function Snowflakes() {
-  const [flakes, setFlakes] = useState(() => {
-    return Array.from({ length: CONFIG.SNOW2D_POINTS }, () => ({
-      x: Math.random() * (typeof window !== 'undefined' ? window.innerWidth : 1600),
-      y: -80 - Math.random() * 70,
-      radius: 10 + Math.random() * 6,
-      speed: 30 + Math.random() * 15,
-    }))
-  })
-
-  useEffect(() => {
-    let animationId
-    let lastTime = Date.now()
+// Falling snow, in world space around the scene. Each flake is animated in the
+// vertex shader from its start position and the elapsed time, so the CPU only
+// advances one uniform per frame.
+const SNOW_AREA = { halfWidth: 20, bottom: -6, height: 28 }
+
+const SNOW_VERTEX = `
+attribute float aSpeed;
+attribute float aPhase;
+attribute float aSize;
+uniform float uTime;
+uniform float uWind;
+uniform float uScale;
+varying float vFade;
+
+const float HALF_WIDTH = ${SNOW_AREA.halfWidth.toFixed(1)};
+const float BOTTOM = ${SNOW_AREA.bottom.toFixed(1)};
+const float HEIGHT = ${SNOW_AREA.height.toFixed(1)};
+
+void main() {
+  // Fall, and start again at the top
+  float fallen = uTime * aSpeed;
+  float y = BOTTOM + mod(position.y - fallen, HEIGHT);
+  // Drift with the wind, plus a little turbulence, wrapping around the snow area
+  vec2 xz = position.xz + vec2(uWind * fallen * 0.5, 0.0) +
+    vec2(sin(uTime * 0.9 + aPhase), cos(uTime * 0.7 + aPhase * 1.7)) * 0.5;
+  xz = mod(xz + HALF_WIDTH, 2.0 * HALF_WIDTH) - HALF_WIDTH;
+
+  vec4 mvPosition = modelViewMatrix * vec4(xz.x, y, xz.y, 1.0);
+  gl_Position = projectionMatrix * mvPosition;
+  gl_PointSize = aSize * uScale / -mvPosition.z;
+  // Fade in at the top and out at the bottom to hide the wrap
+  vFade = smoothstep(0.0, 2.0, y - BOTTOM) * smoothstep(0.0, 2.0, BOTTOM + HEIGHT - y);
+}`
+
+const SNOW_FRAGMENT = `
+varying float vFade;
+
+void main() {
+  float alpha = smoothstep(0.5, 0.1, length(gl_PointCoord - 0.5)) * 0.85 * vFade;
+  if (alpha < 0.01) discard;
+  gl_FragColor = vec4(1.0, 1.0, 1.0, alpha);
+}`
+
+function Snowfall({ snow, seed, quality }) {
+  const pointsRef = useRef()
+  const uniforms = useMemo(() => ({
+    uTime: { value: 0 },
+    uWind: { value: 0 },
+    uScale: { value: 1 },
+  }), [])
+
+  const attributes = useMemo(() => {
+    const random = createRandom(seed, 'snow')
+    const count = CONFIG.SNOW_POINTS
+    const positions = new Float32Array(count * 3)
+    const speeds = new Float32Array(count)
+    const phases = new Float32Array(count)
+    const sizes = new Float32Array(count)
+    for (let i = 0; i < count; i++) {
+      positions[i * 3] = (random() * 2 - 1) * SNOW_AREA.halfWidth
+      positions[i * 3 + 1] = random() * SNOW_AREA.height
+      positions[i * 3 + 2] = (random() * 2 - 1) * SNOW_AREA.halfWidth
+      // Bigger flakes fall faster
+      sizes[i] = 0.06 + random() * 0.12
+      speeds[i] = 0.8 + sizes[i] * 6 + random() * 0.4
+      phases[i] = random() * Math.PI * 2
+    }
+    return { positions, speeds, phases, sizes }
+  }, [seed])
 
-    const animate = () => {
-      const now = Date.now()
-      const delta = (now - lastTime) / 1000
-      lastTime = now
+  // Size points by the buffer being drawn - screenshots render at other sizes
+  const drawingBufferSize = useMemo(() => new THREE.Vector2(), [])
+  const handleBeforeRender = useCallback((renderer) => {
+    uniforms.uScale.value = renderer.getDrawingBufferSize(drawingBufferSize).y / 2
+  }, [uniforms, drawingBufferSize])
 
-      setFlakes((prev) =>
-        prev.map((flake) => {
-          let newY = flake.y + flake.speed * delta
-          let newX = flake.x
+  useEffect(() => {
+    pointsRef.current.geometry.setDrawRange(0, Math.round(snow.density * quality.snow * CONFIG.SNOW_POINTS))
+    uniforms.uWind.value = snow.wind
+  }, [snow.density, snow.wind, quality.snow, uniforms])
 
-          if (newY > window.innerHeight + 50) {
-            newY = -80 - Math.random() * 70
-            newX = Math.random() * window.innerWidth
-          }
+  useFrame((state, delta) => {
+    uniforms.uTime.value += delta
+  })
 
-          return { ...flake, x: newX, y: newY }
-        })
-      )
+  return (
+    <points ref={pointsRef} frustumCulled={false} onBeforeRender={handleBeforeRender}>
+      <bufferGeometry>
+        <bufferAttribute attach="attributes-position" args={[attributes.positions, 3]} />
+        <bufferAttribute attach="attributes-aSpeed" args={[attributes.speeds, 1]} />
+        <bufferAttribute attach="attributes-aPhase" args={[attributes.phases, 1]} />
+        <bufferAttribute attach="attributes-aSize" args={[attributes.sizes, 1]} />
+      </bufferGeometry>
+      <shaderMaterial
+        uniforms={uniforms}
+        vertexShader={SNOW_VERTEX}
+        fragmentShader={SNOW_FRAGMENT}
+        transparent={true}
+        depthWrite={false}
+      />
+    </points>
+  )
+}
 
-      animationId = requestAnimationFrame(animate)
+// Snow settling on the ground rings while the tree stands; it melts away when
+// the particles leave for another formation
+function SnowCover({ snow, seed, mode, quality }) {
+  const pointsRef = useRef()
+  const amountRef = useRef(0)
+
+  const positions = useMemo(() => {
+    const random = createRandom(seed, 'snow-cover')
+    const positions = new Float32Array(CONFIG.SNOW_COVER_POINTS * 3)
+    for (let i = 0; i < CONFIG.SNOW_COVER_POINTS; i++) {
+      const ring = GROUND_RINGS[Math.floor(random() * GROUND_RINGS.length)]
+      const r = ring + (random() - 0.5) * 0.7
+      const theta = random() * Math.PI * 2
+      positions[i * 3] = Math.cos(theta) * r
+      positions[i * 3 + 1] = -0.2 + random() * 0.08 // Just above the ground particles
+      positions[i * 3 + 2] = Math.sin(theta) * r
     }
+    return positions
+  }, [seed])
 
-    animationId = requestAnimationFrame(animate)
-    return () => cancelAnimationFrame(animationId)
-  }, [])
+  useFrame((state, delta) => {
+    const settling = snow.settle && snow.density > 0 && mode === DEFAULT_FORMATION
+    // About a minute to cover the rings in the densest snow; a few seconds to melt
+    amountRef.current = settling
+      ? Math.min(1, amountRef.current + delta * snow.density / 60)
+      : Math.max(0, amountRef.current - delta / 3)
+    pointsRef.current.geometry.setDrawRange(0, Math.floor(amountRef.current * quality.snow * CONFIG.SNOW_COVER_POINTS))
+  })
 
   return (
-    <div
-      style={{
-        position: 'absolute',
-        top: 0,
-        left: 0,
-        width: '100%',
-        height: '100%',
-        pointerEvents: 'none',
-        zIndex: 100,
-      }}
-    >
-      {flakes.map((flake, i) => (
-        <div
-          key={i}
-          style={{
-            position: 'absolute',
-            left: flake.x,
-            top: flake.y,
-            width: flake.radius * 2,
-            height: flake.radius * 2,
-            borderRadius: '50%',
-            background: 'radial-gradient(circle, rgba(255,255,255,0.9) 0%, rgba(255,255,255,0.3) 50%, transparent 70%)',
-            boxShadow: '0 0 10px rgba(255,255,255,0.5)',
-          }}
-        />
-      ))}
-    </div>
+    <points ref={pointsRef} frustumCulled={false}>
+      <bufferGeometry>
+        <bufferAttribute attach="attributes-position" args={[positions, 3]} />
+      </bufferGeometry>
+      <pointsMaterial color="#ffffff" size={0.12} sizeAttenuation={true} transparent={true} opacity={0.9} depthWrite={false} />
+    </points>
   )
 }
 
 // Photo Particles Component
-function PhotoParticles({ photos, mode, onClearExpanded, onGetExpanded }) {
+function PhotoParticles({ photos, mode, expandedIds, onToggleExpanded }) {
   const meshRefs = useRef([])
   const { camera } = useThree()
-  const [expandedPhotos, setExpandedPhotos] = useState(new Set())
 
-  // Expose clear function and get function through callbacks
-  useEffect(() => {
-    if (onClearExpanded) {
-      onClearExpanded(() => setExpandedPhotos(new Set()))
-    }
-    if (onGetExpanded) {
-      onGetExpanded(() => expandedPhotos)
-    }
-  }, [onClearExpanded, onGetExpanded, expandedPhotos])
+  const formation = getFormation(mode)
 
   useFrame((state, delta) => {
-    // Skip updates in SCATTER mode
-    if (mode === 'SCATTER') return
+    // Skip updates when the formation hides photos
+    if (!formation.photo) return
 
     meshRefs.current.forEach((mesh, i) => {
       if (!mesh || !photos[i]) return
@@ -617,7 +505,7 @@ function PhotoParticles({ photos, mode, onClearExpanded, onGetExpanded }) {
       const time = state.clock.elapsedTime
 
       // Expanded photo logic - override all other modes
-      if (expandedPhotos.has(i)) {
+      if (expandedIds.has(photo.id)) {
         // Each photo gets a unique floating position based on its index
         // Use a pseudo-random but consistent position for each photo
         const angle = (i * 2.4) % (Math.PI * 2)
@@ -650,57 +538,31 @@ function PhotoParticles({ photos, mode, onClearExpanded, onGetExpanded }) {
         return
       }
 
-      if (mode === 'HEART') {
-        // Heart mode - float around like small hearts
-        const target = photo.heartPos
-        mesh.position.x += (target[0] - mesh.position.x) * 2.0 * delta
-        mesh.position.y += (target[1] - mesh.position.y) * 2.0 * delta
-        mesh.position.z += (target[2] - mesh.position.z) * 2.0 * delta
-
-        // Enhanced floating animation - bob up and down
-        mesh.position.y += Math.sin(time * 1.5 + i * 0.8) * 0.03
-        // Gentle side-to-side drift
-        mesh.position.x += Math.cos(time * 0.8 + i * 0.6) * 0.02
-        mesh.position.z += Math.sin(time * 0.6 + i * 0.4) * 0.02
-
-        // Scale up 6x in heart mode
-        const targetScale = 6.0
-        mesh.scale.x += (targetScale - mesh.scale.x) * 2.0 * delta
-        mesh.scale.y += (targetScale - mesh.scale.y) * 2.0 * delta
-        mesh.scale.z += (targetScale - mesh.scale.z) * 2.0 * delta
+      // Move to this formation's placement for the photo
+      const target = photo.positions[formation.id]
+      if (!target) return
+      mesh.position.x += (target[0] - mesh.position.x) * 2.0 * delta
+      mesh.position.y += (target[1] - mesh.position.y) * 2.0 * delta
+      mesh.position.z += (target[2] - mesh.position.z) * 2.0 * delta
 
-        // Face camera
-        mesh.lookAt(camera.position)
-
-        // Fade in
-        mesh.material.opacity = Math.min(1, mesh.material.opacity + delta * 2)
-      } else if (mode === 'TREE') {
-        // Tree mode - hang on tree
-        const target = photo.treePos
-        mesh.position.x += (target[0] - mesh.position.x) * 2.0 * delta
-        mesh.position.y += (target[1] - mesh.position.y) * 2.0 * delta
-        mesh.position.z += (target[2] - mesh.position.z) * 2.0 * delta
-
-        // Scale back to 1x in tree mode
-        const targetScale = 1.0
-        mesh.scale.x += (targetScale - mesh.scale.x) * 2.0 * delta
-        mesh.scale.y += (targetScale - mesh.scale.y) * 2.0 * delta
-        mesh.scale.z += (targetScale - mesh.scale.z) * 2.0 * delta
+      const targetScale = formation.photo.scale
+      mesh.scale.x += (targetScale - mesh.scale.x) * 2.0 * delta
+      mesh.scale.y += (targetScale - mesh.scale.y) * 2.0 * delta
+      mesh.scale.z += (targetScale - mesh.scale.z) * 2.0 * delta
 
-        // Slight sway
-        mesh.rotation.z = Math.sin(time * 0.5 + i) * 0.1
+      // Formation-specific motion (sway, bobbing...)
+      formation.photo.animate?.(mesh, time, i)
 
-        // Face camera
-        mesh.lookAt(camera.position)
+      // Face camera
+      mesh.lookAt(camera.position)
 
-        // Fade in
-        mesh.material.opacity = Math.min(1, mesh.material.opacity + delta * 2)
-      }
+      // Fade in
+      mesh.material.opacity = Math.min(1, mesh.material.opacity + delta * 2)
     })
   })
 
-  // Don't render anything in SCATTER mode
-  if (mode === 'SCATTER') {
+  // Don't render anything when the formation hides photos
+  if (!formation.photo) {
     return null
   }
 
@@ -710,19 +572,10 @@ function PhotoParticles({ photos, mode, onClearExpanded, onGetExpanded }) {
         <mesh
           key={photo.id}
           ref={el => meshRefs.current[i] = el}
-          position={photo.treePos}
+          position={photo.positions[DEFAULT_FORMATION]}
           onClick={(e) => {
             e.stopPropagation()
-            // Toggle this photo's expanded state
-            setExpandedPhotos(prev => {
-              const newSet = new Set(prev)
-              if (newSet.has(i)) {
-                newSet.delete(i)
-              } else {
-                newSet.add(i)
-              }
-              return newSet
-            })
+            onToggleExpanded(photo.id)
           }}
           onPointerOver={(e) => {
             e.stopPropagation()
@@ -740,34 +593,100 @@ function PhotoParticles({ photos, mode, onClearExpanded, onGetExpanded }) {
             opacity={1}
             side={THREE.DoubleSide}
           />
+          {photo.caption && expandedIds.has(photo.id) && (
+            <Html position={[0, -photo.height * 0.6, 0]} center>
+              <div className="photo-caption">{photo.caption}</div>
+            </Html>
+          )}
         </mesh>
       ))}
     </group>
   )
 }
 
+const TEXT_DEBOUNCE_MS = 300 // Typing pause before the greeting is drawn again
+
 // Scene setup
-function Scene({ currentTheme, gestureState, photos, onClearExpandedPhotos, onGetExpandedPhotos }) {
+function Scene({ theme, seed, quality, gestureState, audioAnalyser, photos, greeting, cameraView, expandedPhotoIds, onTogglePhotoExpanded, captureRef }) {
   const groupRef = useRef()
-  const { camera } = useThree()
-  const [seed, setSeed] = useState(0)
+  const { camera, gl, scene } = useThree()
+  const controls = useThree(state => state.controls)
+  const forceProjection = useMemo(() => ({
+    ndc: new THREE.Vector2(),
+    raycaster: new THREE.Raycaster(),
+    plane: new THREE.Plane(),
+    normal: new THREE.Vector3(),
+    middle: new THREE.Vector3(),
+  }), [])
+
+  const counts = useMemo(() => particleCounts(quality), [quality])
+  const [particleGenerator] = useState(createParticleGenerator)
+  // { seed, layers, colors, theme } - what is on screen stays until the worker sends the next
+  const [particles, setParticles] = useState(null)
+  const themeRef = useRef(theme)
+  themeRef.current = theme
+
+  useEffect(() => () => particleGenerator.dispose(), [particleGenerator])
+
+  useEffect(() => {
+    let current = true
+    const generatedTheme = themeRef.current
+    particleGenerator.generate(seed, counts, generatedTheme).then((result) => {
+      if (current && result) setParticles({ seed, ...result, theme: generatedTheme })
+    })
+    return () => {
+      current = false
+    }
+  }, [particleGenerator, seed, counts])
 
-  const theme = COLOR_THEMES[currentTheme]
-  const treePoints = useMemo(() => generateTreePoints(theme), [seed, currentTheme])
-  const groundPoints = useMemo(() => generateGroundPoints(theme), [seed, currentTheme])
-  const starPoints = useMemo(() => generateStarPoints(theme), [seed, currentTheme])
+  // A theme change only recolours the same layout, which then cross-fades
+  useEffect(() => {
+    if (!particles || particles.theme === theme) return
+    let current = true
+    const { layers } = particles
+    particleGenerator.recolor(theme, particles.seed, layers).then((colors) => {
+      if (!current || !colors) return
+      setParticles(prev => (prev.layers === layers ? { ...prev, colors, theme } : prev))
+    })
+    return () => {
+      current = false
+    }
+  }, [particleGenerator, particles, theme])
 
+  // cameraView (from a shared link) only sets the starting view
   useEffect(() => {
-    camera.position.set(0, CONFIG.CAM_HEIGHT + 4, CONFIG.CAM_DIST+5)
+    if (cameraView) {
+      camera.position.set(...cameraView.position)
+    } else {
+      camera.position.set(0, CONFIG.CAM_HEIGHT + 4, CONFIG.CAM_DIST+5)
+    }
     camera.rotation.x = CONFIG.PITCH
   }, [camera])
 
+  // Lets the page render a screenshot at any size: captureRef.current(width, height) -> 2D canvas
+  useEffect(() => {
+    if (!captureRef) return
+    captureRef.current = (width, height) => renderScene({ gl, scene, camera }, width, height)
+    return () => { captureRef.current = null }
+  }, [captureRef, gl, scene, camera])
+
+  useEffect(() => {
+    if (controls && cameraView) {
+      controls.target.set(...cameraView.target)
+      controls.update()
+    }
+  }, [controls])
+
   useFrame((state, delta) => {
+    audioAnalyser?.update(delta)
+
     if (groupRef.current && gestureState) {
       // Gesture-based rotation - works in all modes
       const threshold = 0.2
       const speed = 1.5
       
+      const { rotation } = getFormation(gestureState.mode)
+
       if (gestureState.hand.detected) {
       // Hand controls rotation in all modes
         if (gestureState.hand.x > threshold) {
@@ -776,235 +695,545 @@ function Scene({ currentTheme, gestureState, photos, onClearExpandedPhotos, onGe
           gestureState.rotation.y += speed * delta * (gestureState.hand.x + threshold)
         }
         
-        // Only allow up/down rotation in SCATTER mode
-        if (gestureState.mode === 'SCATTER') {
+        // Only allow up/down rotation in formations that enable pitch
+        if (rotation.pitch) {
           if (gestureState.hand.y > threshold) {
             gestureState.rotation.x += speed * delta * (gestureState.hand.y - threshold)
           } else if (gestureState.hand.y < -threshold) {
             gestureState.rotation.x += speed * delta * (gestureState.hand.y + threshold)
           }
         } else {
-          // Keep x rotation at 0 for TREE and HEART modes
+          // Keep x rotation at 0 otherwise
           gestureState.rotation.x += (0 - gestureState.rotation.x) * 3.0 * delta
         }
       } else {
-        // Auto-rotation when no hand detected
-        if (gestureState.mode === 'TREE') {
-          // Gentle auto-rotation in tree mode (only left-right)
-          gestureState.rotation.y += 0.15 * delta
-          gestureState.rotation.x += (0 - gestureState.rotation.x) * 2.0 * delta
-        } else if (gestureState.mode === 'HEART') {
-          // Slow rotation in heart mode (only left-right)
-          gestureState.rotation.y += 0.1 * delta
-          gestureState.rotation.x += (0 - gestureState.rotation.x) * 1.5 * delta
+        // Auto-rotation when no hand detected (only left-right)
+        if (rotation.faceFront) {
+          // Turn back to the nearest full turn so the formation faces the camera
+          const front = Math.round(gestureState.rotation.y / (Math.PI * 2)) * Math.PI * 2
+          gestureState.rotation.y += (front - gestureState.rotation.y) * rotation.settle * delta
         } else {
-          // Slow drift in scatter mode
-          gestureState.rotation.y += 0.05 * delta
+          gestureState.rotation.y += rotation.autoSpeed * delta
+        }
+        if (rotation.settle !== null) {
+          gestureState.rotation.x += (0 - gestureState.rotation.x) * rotation.settle * delta
         }
       }
       
       groupRef.current.rotation.y = gestureState.rotation.y
       groupRef.current.rotation.x = gestureState.rotation.x
+
+      // Force field - project the steering hand onto a plane through the middle of the tree
+      const field = gestureState.forceField
+      const { sign } = FORCE_MODES[field.mode]
+      if (sign && gestureState.hand.detected && !gestureState.twoHanded) {
+        // The preview is mirrored, and image y points down
+        forceProjection.ndc.set(-gestureState.hand.x, -gestureState.hand.y)
+        forceProjection.raycaster.setFromCamera(forceProjection.ndc, camera)
+        const middle = groupRef.current.localToWorld(forceProjection.middle.set(0, CONFIG.TREE_HEIGHT / 2, 0))
+        forceProjection.plane.setFromNormalAndCoplanarPoint(camera.getWorldDirection(forceProjection.normal), middle)
+        field.center = forceProjection.raycaster.ray.intersectPlane(forceProjection.plane, field.center || new THREE.Vector3())
+        // Pinching strengthens the field
+        field.strength = sign * FORCE_STRENGTH * (1 + 1.5 * gestureState.hand.pinch)
+      } else {
+        field.center = null
+      }
+
+      // Two-hand zoom, kept within the orbit controls' distance limits
+      if (gestureState.zoom !== 1 && controls) {
+        const offset = camera.position.clone().sub(controls.target)
+        offset.setLength(THREE.MathUtils.clamp(offset.length() * gestureState.zoom, controls.minDistance, controls.maxDistance))
+        camera.position.copy(controls.target).add(offset)
+        gestureState.zoom = 1
+      }
     } else if (groupRef.current) {
       // Fallback rotation when no gesture
       groupRef.current.rotation.y += 0.002
     }
   })
 
+  const mode = gestureState?.mode || DEFAULT_FORMATION
+  const audioLevels = audioAnalyser?.levels
+
+  // The greeting settles before the text is drawn again, rather than on every keystroke
+  const [text, setText] = useState(greeting)
+  useEffect(() => {
+    const timer = setTimeout(() => setText(greeting), TEXT_DEBOUNCE_MS)
+    return () => clearTimeout(timer)
+  }, [greeting])
+
+  // Formations reading scene options are sampled on the worker, and only while
+  // they are showing: { layers, formationId, optionsKey, targets: { tree, ground, stars } }
+  const [optionTargets, setOptionTargets] = useState(null)
+  const layers = particles?.layers
+  const layerSeed = particles?.seed
+  useEffect(() => {
+    const formation = getFormation(mode)
+    if (!layers || formation.options.length === 0) return
+    const options = { text }
+    const optionsKey = formation.options.map(key => options[key]).join('\u0000')
+    if (optionTargets?.layers === layers && optionTargets.formationId === formation.id && optionTargets.optionsKey === optionsKey) return
+
+    let current = true
+    particleGenerator.sample(layers, formation.id, options, layerSeed).then((targets) => {
+      if (current && targets) setOptionTargets({ layers, formationId: formation.id, optionsKey, targets })
+    })
+    return () => {
+      current = false
+    }
+  }, [particleGenerator, layers, layerSeed, mode, text])
+
+  // Per layer: { [formationId]: target }
+  const layerOptionTargets = useMemo(() => {
+    if (!optionTargets || optionTargets.layers !== layers) return {}
+    const { formationId, targets } = optionTargets
+    return Object.fromEntries(Object.entries(targets).map(([name, target]) => [name, { [formationId]: target }]))
+  }, [optionTargets, layers])
+
   return (
-    <group ref={groupRef} position={[0, -5.5, 0]}>
-      <Particles points={treePoints} mode={gestureState?.mode || 'TREE'} />
-      <Particles points={groundPoints} mode={gestureState?.mode || 'TREE'} />
-      <Particles points={starPoints} mode={gestureState?.mode || 'TREE'} />
-      <PhotoParticles
-        photos={photos}
-        mode={gestureState?.mode || 'TREE'}
-        onClearExpanded={onClearExpandedPhotos}
-        onGetExpanded={onGetExpandedPhotos}
-      />
-      <StarMesh theme={theme} />
-      
-      <ambientLight intensity={0.8} />
-      <pointLight position={[10, 10, 10]} intensity={1.5} />
-      <pointLight position={[-10, 5, -10]} color="#6688ff" intensity={0.8} />
-    </group>
+    <>
+      <group ref={groupRef} position={[0, -5.5, 0]}>
+        {particles && (
+          <>
+            <Particles data={particles.layers.tree} colors={particles.colors.tree} optionTargets={layerOptionTargets.tree} mode={mode} forceField={gestureState.forceField} audioLevels={audioLevels} />
+            <Particles data={particles.layers.ground} colors={particles.colors.ground} optionTargets={layerOptionTargets.ground} mode={mode} forceField={gestureState.forceField} audioLevels={audioLevels} />
+            <Particles data={particles.layers.stars} colors={particles.colors.stars} optionTargets={layerOptionTargets.stars} mode={mode} forceField={gestureState.forceField} audioLevels={audioLevels} twinkle />
+          </>
+        )}
+        <PhotoParticles
+          photos={photos}
+          mode={mode}
+          expandedIds={expandedPhotoIds}
+          onToggleExpanded={onTogglePhotoExpanded}
+        />
+        <StarMesh theme={theme} audioLevels={audioLevels} />
+        <SnowCover snow={theme.snow} seed={seed} mode={mode} quality={quality} />
+
+        <ambientLight intensity={0.8} />
+        <pointLight position={[10, 10, 10]} intensity={1.5} />
+        <pointLight position={[-10, 5, -10]} color="#6688ff" intensity={0.8} />
+      </group>
+      {/* Outside the rotating group, so the snow keeps falling straight while the tree turns */}
+      <Snowfall snow={theme.snow} seed={seed} quality={quality} />
+    </>
   )
 }
 
+// Reports when auto quality should step a level down (-1) or up (+1)
+function QualityMonitor({ enabled, onStep }) {
+  const monitor = useMemo(() => createFrameRateMonitor(), [])
+
+  useEffect(() => {
+    monitor.reset()
+  }, [enabled, monitor])
+
+  useFrame((state, delta) => {
+    if (!enabled) return
+    const step = monitor.sample(delta)
+    if (step) onStep(step)
+  })
+  return null
+}
+
+// Battery saver - with frameloop="demand", only draw at a fixed rate
+function FrameLimiter({ fps }) {
+  const invalidate = useThree(state => state.invalidate)
+
+  useEffect(() => {
+    const timer = setInterval(() => invalidate(), 1000 / fps)
+    return () => clearInterval(timer)
+  }, [fps, invalidate])
+  return null
+}
+
+// 75 -> "1:15"
+function formatSeconds(seconds) {
+  const whole = Math.floor(seconds)
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`
+}
+
+// Theme id for a palette received through a shared link
+const SHARED_THEME_ID = 'shared'
+
 // Main component
 export default function ChristmasTree() {
+  // A shared link takes priority over localStorage
+  const [sharedScene] = useState(() => readSharedScene())
+  const [customThemes, setCustomThemes] = useState(() => loadCustomThemes())
+  const themes = useMemo(() => ({
+    ...COLOR_THEMES,
+    ...customThemes,
+    // A shared palette is available for the session; saving it in the editor keeps it
+    ...(sharedScene?.theme && { [SHARED_THEME_ID]: sharedScene.theme }),
+  }), [customThemes, sharedScene])
   const [currentTheme, setCurrentTheme] = useState(() => {
+    if (sharedScene?.theme) return SHARED_THEME_ID
+    if (sharedScene?.themeId && themes[sharedScene.themeId]) return sharedScene.themeId
     const saved = localStorage.getItem('christmasTheme')
-    return (saved && COLOR_THEMES[saved]) ? saved : 'classic'
+    return (saved && themes[saved]) ? saved : 'classic'
   })
+  const [isThemeEditorOpen, setIsThemeEditorOpen] = useState(false)
+  const [previewTheme, setPreviewTheme] = useState(null)
   const [userName, setUserName] = useState(() => {
-    return localStorage.getItem('christmasName') || ''
+    return sharedScene?.name ?? (localStorage.getItem('christmasName') || '')
+  })
+  // Layout seed - a pinned seed is reused on reload, otherwise every load gets a new tree
+  const [seedPinned, setSeedPinned] = useState(() => localStorage.getItem('christmasSeedPinned') === 'true')
+  const [seed, setSeed] = useState(() => {
+    if (sharedScene?.seed !== undefined) return sharedScene.seed
+    const saved = parseSeed(localStorage.getItem('christmasSeed'))
+    return (seedPinned && saved !== null) ? saved : randomSeed()
   })
   
   // Gesture state
   const [gestureState] = useState({
-    mode: 'TREE', // TREE, SCATTER, HEART
-    hand: { detected: false, x: 0, y: 0 },
-    rotation: { x: 0, y: 0 }
+    mode: getFormation(sharedScene?.mode).id, // Any registered formation id (TREE, SCATTER, HEART, ...)
+    hand: { detected: false, x: 0, y: 0, pinch: 0 }, // The hand steering the rotation
+    hands: Object.fromEntries(HANDS.map(side => [side, { detected: false, x: 0, y: 0, gesture: null, features: null }])),
+    modeHand: loadModeHand(), // With two hands in view, this one triggers gesture actions
+    gesture: null, // Last gesture acted on
+    zoom: 1, // Pending two-hand zoom factor, applied to the camera by Scene
+    twoHanded: false,
+    forceField: { mode: 'off', center: null, strength: 0 }, // center: hand position in world space, set by Scene
+    rotation: { x: 0, y: 0 },
+    calibrating: false
+  })
+  // Mirrors gestureState.mode for the UI; set both through switchMode
+  const [currentMode, setCurrentMode] = useState(gestureState.mode)
+  const [gestureClassifiers] = useState(() => {
+    const calibration = loadCalibration()
+    return Object.fromEntries(HANDS.map(side => [side, createGestureClassifier(calibration)]))
   })
+  const [twoHandTracker] = useState(createTwoHandTracker)
+  const [detectionStats] = useState(createDetectionStats)
+  const [isDiagnosticsOpen, setIsDiagnosticsOpen] = useState(false)
+  const [gestureRecorder] = useState(createGestureRecorder)
+  const [isRecordingGestures, setIsRecordingGestures] = useState(false)
+  const [isReplayingGestures, setIsReplayingGestures] = useState(false)
+  const processGesturesRef = useRef(null)
+  const replayRef = useRef(null)
+  const [isCalibrating, setIsCalibrating] = useState(false)
+  const [gestureBindings, setGestureBindings] = useState(loadBindings)
+  const [isGestureSettingsOpen, setIsGestureSettingsOpen] = useState(false)
+  const [modeHand, setModeHand] = useState(gestureState.modeHand)
+  const [isUIHidden, setIsUIHidden] = useState(false)
+  const [forceFieldMode, setForceFieldMode] = useState('off')
+  // Latest gesture action handler, for the detection loop set up on mount
+  const gestureActionRef = useRef(null)
+  // Latest key command handler, for the keydown listener set up on mount
+  const keyCommandRef = useRef(null)
+  const [keyCommands] = useState(getKeyCommands)
+  const [isKeyboardHelpOpen, setIsKeyboardHelpOpen] = useState(false)
+  // Index of the photo stepped to with the arrow keys
+  const photoCursorRef = useRef(-1)
   const [gestureHint, setGestureHint] = useState('Initializing camera...')
   const [cameraActive, setCameraActive] = useState(false)
-  const [isMusicPlaying, setIsMusicPlaying] = useState(true)
+  const [isMusicPlaying, setIsMusicPlaying] = useState(false)
   const [isFullscreen, setIsFullscreen] = useState(false)
   const [photos, setPhotos] = useState([])
   const [photosLoaded, setPhotosLoaded] = useState(false)
-  const clearExpandedPhotosRef = useRef(null)
-  const getExpandedPhotosRef = useRef(null)
+  const [storageInfo, setStorageInfo] = useState(null)
+  // Photos clicked to float in front of the tree, by photo id
+  const [expandedPhotoIds, setExpandedPhotoIds] = useState(() => new Set())
+  const [isPhotoManagerOpen, setIsPhotoManagerOpen] = useState(false)
   const audioRef = useRef(null)
+  // Second music element, for cross-fading between tracks
+  const crossfadeAudioRef = useRef(null)
+  const [audioAnalyser] = useState(createAudioAnalyser)
+  const [audioReactivity, setAudioReactivity] = useState(loadReactivity)
+  const [qualitySettings, setQualitySettings] = useState(loadQualitySettings)
+  const quality = activeQualityLevel(qualitySettings)
+  // Hand detections per second, read by the detection loop set up on mount
+  const detectFpsRef = useRef(quality.detectFps)
+  detectFpsRef.current = quality.detectFps
+  const [musicPlayer] = useState(createMusicPlayer)
+  // Bundled tracks first, then uploads (with object URLs)
+  const [musicTracks, setMusicTracks] = useState(BUNDLED_TRACKS)
+  const [musicSettings, setMusicSettings] = useState(loadMusicSettings)
+  const [currentTrack, setCurrentTrack] = useState(null)
+  const [isMusicPanelOpen, setIsMusicPanelOpen] = useState(false)
   const videoRef = useRef(null)
   const handLandmarkerRef = useRef(null)
   const lastVideoTimeRef = useRef(-1)
-  const userInteractedRef = useRef(false)
   const fileInputRef = useRef(null)
-
-  // Load photos from localStorage on mount
+  const controlsRef = useRef(null)
+  const canvasRef = useRef(null)
+  const captureRef = useRef(null)
+  const [isScreenshotPanelOpen, setIsScreenshotPanelOpen] = useState(false)
+  const [isSavingImage, setIsSavingImage] = useState(false)
+  const [isVideoPanelOpen, setIsVideoPanelOpen] = useState(false)
+  // { countdown } before a video recording starts, then { elapsed, duration }
+  const [videoRecording, setVideoRecording] = useState(null)
+  const videoSessionRef = useRef(null)
+  // Latest touch shortcut handler, for the listeners set up on mount
+  const touchActionRef = useRef(null)
+  const overlayRef = useRef(null)
+
+  // Load photos from IndexedDB on mount - each photo appears as soon as it decodes
   useEffect(() => {
+    let cancelled = false
+
     const loadPhotos = async () => {
       try {
-        const savedPhotos = localStorage.getItem('christmasPhotos')
-        if (savedPhotos) {
-          const photosData = JSON.parse(savedPhotos)
-          const loadedPhotos = []
-
-          for (const photoData of photosData) {
-            const img = new Image()
-            await new Promise((resolve) => {
-              img.onload = () => {
-                const texture = new THREE.Texture(img)
-                texture.needsUpdate = true
-
-                loadedPhotos.push({
-                  ...photoData,
-                  texture
-                })
-                resolve()
-              }
-              img.src = photoData.imageData
-            })
-          }
+        requestPersistentStorage()
+        await migrateLegacyPhotos()
+        const records = await loadPhotoRecords()
+
+        await Promise.all(records.map(async (record, index) => {
+          try {
+            const img = await loadImageBlob(record.blob)
+            if (cancelled) return
+
+            const texture = new THREE.Texture(img)
+            texture.needsUpdate = true
+
+            const { blob, ...photoData } = record
+            const url = URL.createObjectURL(blob) // Thumbnail for the photo manager
+            const photo = placePhoto({ ...photoData, texture, url }, createRandom(seed, `photo:${index}`))
+            // Keep placements for formations registered since the photo was saved
+            if (Object.keys(photo.positions).length !== Object.keys(record.positions || {}).length) {
+              updatePhotos([{ id: photo.id, positions: photo.positions }])
+                .catch(err => console.error('Failed to update photo positions:', err))
+            }
 
-          setPhotos(loadedPhotos)
-        }
+            setPhotos(prev => [...prev, photo].sort((a, b) => a.order - b.order))
+          } catch (err) {
+            console.error('Failed to load photo:', err)
+          }
+        }))
       } catch (error) {
         console.error('Failed to load photos:', error)
+        setStorageInfo({ error: true })
       } finally {
-        setPhotosLoaded(true)
+        if (!cancelled) {
+          setPhotosLoaded(true)
+          refreshStorageInfo()
+        }
       }
     }
 
     loadPhotos()
+    return () => { cancelled = true }
   }, [])
 
-  // Auto-play music on load and on first user interaction
+  // Hook the analyser up as soon as the browser lets an AudioContext start
   useEffect(() => {
-    const tryAutoPlay = () => {
-      if (audioRef.current && !userInteractedRef.current) {
-        audioRef.current.play()
-          .then(() => {
-            setIsMusicPlaying(true)
-            userInteractedRef.current = true
-            console.log('Music auto-playing')
-          })
-          .catch(err => {
-            console.log('Autoplay blocked, waiting for user interaction:', err)
-            setIsMusicPlaying(false)
-          })
+    const connect = () => {
+      if (!audioAnalyser.connect(musicPlayer.elements)) return
+      document.removeEventListener('pointerdown', connect)
+      document.removeEventListener('keydown', connect)
+    }
+    document.addEventListener('pointerdown', connect)
+    document.addEventListener('keydown', connect)
+    return () => {
+      document.removeEventListener('pointerdown', connect)
+      document.removeEventListener('keydown', connect)
+    }
+  }, [audioAnalyser, musicPlayer])
+
+  // Object URLs of the uploaded tracks, all revoked on unmount
+  const trackUrlsRef = useRef(new Set())
+  const createTrackUrl = (blob) => {
+    const url = URL.createObjectURL(blob)
+    trackUrlsRef.current.add(url)
+    return url
+  }
+
+  // Music player - load the uploaded tracks, then start the theme's track
+  useEffect(() => {
+    let cancelled = false
+    const detach = musicPlayer.attach([audioRef.current, crossfadeAudioRef.current], { onTrackChange: setCurrentTrack })
+
+    const startMusic = async () => {
+      let uploaded = []
+      try {
+        const records = await loadTrackRecords()
+        if (cancelled) return
+        uploaded = records.map(({ id, name, blob }) => ({ id, name, url: createTrackUrl(blob) }))
+      } catch (err) {
+        console.error('Failed to load music library:', err)
       }
+      const tracks = [...BUNDLED_TRACKS, ...uploaded]
+      setMusicTracks(tracks)
+      musicPlayer.play(trackForTheme(tracks, musicSettings, currentTheme, themes[currentTheme]))
+        .catch(err => console.error('Music play failed:', err))
+    }
+
+    startMusic()
+    return () => {
+      cancelled = true
+      detach()
+      trackUrlsRef.current.forEach(url => URL.revokeObjectURL(url))
+      trackUrlsRef.current.clear()
     }
+  }, [musicPlayer])
 
-    // Try immediate autoplay
-    const timer = setTimeout(tryAutoPlay, 100)
+  useEffect(() => {
+    musicPlayer.setPlaylist(musicTracks.filter(track => !musicSettings.excluded.includes(track.id)))
+    musicPlayer.setShuffle(musicSettings.shuffle)
+    musicPlayer.setVolume(musicSettings.volume)
+  }, [musicPlayer, musicTracks, musicSettings])
+
+  const updateMusicSettings = (changes) => {
+    const settings = { ...musicSettings, ...changes }
+    setMusicSettings(settings)
+    saveMusicSettings(settings)
+  }
 
-    // Also try on first user interaction
-    const handleInteraction = () => {
-      if (!userInteractedRef.current && audioRef.current) {
-        audioRef.current.play()
-          .then(() => {
-            setIsMusicPlaying(true)
-            userInteractedRef.current = true
-            console.log('Music started after user interaction')
-          })
-          .catch(err => console.log('Play failed:', err))
+  const playTrack = (track) => {
+    musicPlayer.play(track).catch((err) => {
+      console.error('Music play failed:', err)
+      alert('Failed to play music. Please check your browser settings or try clicking again.')
+    })
+  }
+
+  // The theme editor plays its draft's music; closing it goes back to the theme's track
+  const previewMusic = previewTheme?.music
+  const previewingMusicRef = useRef(false)
+  useEffect(() => {
+    if (musicSettings.keepTrack) return
+    const theme = themes[currentTheme]
+    let track
+    if (previewMusic && previewMusic !== theme.music) {
+      previewingMusicRef.current = true
+      track = trackForTheme(musicTracks, { themeTracks: {} }, null, { music: previewMusic })
+    } else if (previewingMusicRef.current) {
+      previewingMusicRef.current = false
+      track = trackForTheme(musicTracks, musicSettings, currentTheme, theme)
+    }
+    if (track && track.url !== musicPlayer.track?.url) playTrack(track)
+  }, [previewMusic])
+
+  const handleMusicUpload = async (files) => {
+    const audioFiles = files.filter(file => file.type.startsWith('audio/'))
+    if (audioFiles.length < files.length) alert('只能添加音频文件')
+
+    const added = []
+    for (const file of audioFiles) {
+      const record = createTrackRecord(file, musicTracks.length + added.length)
+      try {
+        await putTrack(record)
+        added.push({ id: record.id, name: record.name, url: createTrackUrl(file) })
+      } catch (err) {
+        console.error('Failed to save track:', err)
+        alert(`保存音乐失败：${err.message}`)
+        break
       }
     }
+    if (added.length === 0) return
+    setMusicTracks(prev => [...prev, ...added])
+    playTrack(added[0])
+  }
 
-    // Listen for any user interaction
-    document.addEventListener('click', handleInteraction, { once: true })
-    document.addEventListener('keydown', handleInteraction, { once: true })
-    document.addEventListener('touchstart', handleInteraction, { once: true })
+  const deleteMusicTrack = async (id) => {
+    if (!confirm('确定要删除这首音乐吗？')) return
+    const track = musicTracks.find(t => t.id === id)
+    try {
+      await deleteTrack(id)
+    } catch (err) {
+      console.error('Failed to delete track:', err)
+      alert(`删除音乐失败：${err.message}`)
+      return
+    }
 
-    return () => {
-      clearTimeout(timer)
-      document.removeEventListener('click', handleInteraction)
-      document.removeEventListener('keydown', handleInteraction)
-      document.removeEventListener('touchstart', handleInteraction)
+    const remaining = musicTracks.filter(t => t.id !== id)
+    const playlist = remaining.filter(t => !musicSettings.excluded.includes(t.id))
+    musicPlayer.setPlaylist(playlist)
+    if (musicPlayer.track?.id === id) {
+      // With nothing to move on to, stop before the track's URL goes away
+      if (playlist.length === 0) musicPlayer.pause()
+      else musicPlayer.next().catch(err => console.error('Music play failed:', err))
     }
-  }, [isMusicPlaying])
+    URL.revokeObjectURL(track.url)
+    trackUrlsRef.current.delete(track.url)
+    setMusicTracks(remaining)
+    updateMusicSettings({
+      excluded: musicSettings.excluded.filter(trackId => trackId !== id),
+      themeTracks: Object.fromEntries(Object.entries(musicSettings.themeTracks).filter(([, trackId]) => trackId !== id)),
+    })
+  }
+
+  // trackId: a library track, or '' for the theme's own music
+  const assignThemeTrack = (trackId) => {
+    const themeTracks = { ...musicSettings.themeTracks }
+    if (trackId) themeTracks[currentTheme] = trackId
+    else delete themeTracks[currentTheme]
+    updateMusicSettings({ themeTracks })
+    if (!musicSettings.keepTrack) {
+      playTrack(trackForTheme(musicTracks, { themeTracks }, currentTheme, themes[currentTheme]))
+    }
+  }
+
+  const updateQualitySettings = (changes) => {
+    const settings = { ...qualitySettings, ...changes }
+    setQualitySettings(settings)
+    saveQualitySettings(settings)
+  }
+
+  const stepAutoQuality = (step) => {
+    const autoLevel = stepQualityLevel(qualitySettings.autoLevel, step)
+    if (autoLevel) updateQualitySettings({ autoLevel })
+  }
+
+  const handleReactivityChange = (value) => {
+    setAudioReactivity(value)
+    audioAnalyser.setReactivity(value)
+    saveReactivity(value)
+  }
 
   // Initialize MediaPipe
   useEffect(() => {
     let animationId
     
     async function initMediaPipe() {
+      // Load MediaPipe - bundled with the app, with the CDN as a fallback
+      try {
+        const { landmarker, offline } = await createHandLandmarker({ numHands: 2 })
+        handLandmarkerRef.current = landmarker
+        if (!offline) console.warn('Hand tracking loaded from the CDN; bundled files were unavailable')
+      } catch (error) {
+        console.error('MediaPipe init error:', error)
+        setGestureHint('✋ Gesture control unavailable (hand model failed to load) - use mouse & buttons')
+        return
+      }
+
       try {
-        // Load MediaPipe
-        const vision = await FilesetResolver.forVisionTasks(
-          "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.3/wasm"
-        )
-        
-        handLandmarkerRef.current = await HandLandmarker.createFromOptions(vision, {
-          baseOptions: {
-            modelAssetPath: "https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task",
-            delegate: "GPU"
-          },
-          runningMode: "VIDEO",
-          numHands: 1
-        })
-        
         // Start webcam
         if (navigator.mediaDevices?.getUserMedia) {
           const stream = await navigator.mediaDevices.getUserMedia({ video: true })
           if (videoRef.current) {
             videoRef.current.srcObject = stream
-            
-            // Auto-play music after camera permission is granted
-            setTimeout(() => {
-              if (audioRef.current) {
-                // Check if audio is actually playing
-                if (audioRef.current.paused) {
-                  audioRef.current.play()
-                    .then(() => {
-                      setIsMusicPlaying(true)
-                      userInteractedRef.current = true
-                      console.log('Music started after camera permission granted')
-                    })
-                    .catch(err => console.log('Music play failed:', err))
-                }
-              }
-            }, 500)
 
             // Wait for video to be ready
             videoRef.current.addEventListener('loadeddata', () => {
               setCameraActive(true)
               setGestureHint('Waiting for hand...')
               
+              // Camera frame rate, to count frames the detector never got to
+              const frameRate = stream.getVideoTracks()[0]?.getSettings().frameRate || 30
+
               // Start detection loop after video is ready
               const detectGestures = () => {
-                if (videoRef.current && videoRef.current.currentTime !== lastVideoTimeRef.current) {
+                const elapsed = videoRef.current ? videoRef.current.currentTime - lastVideoTimeRef.current : 0
+                // New camera frame, at no more than the quality level's detection rate
+                if (videoRef.current && elapsed !== 0 && (lastVideoTimeRef.current < 0 || elapsed >= 0.9 / detectFpsRef.current)) {
+                  // Frames left out on purpose don't count as skipped
+                  const expectedRate = Math.min(frameRate, detectFpsRef.current)
+                  const skipped = lastVideoTimeRef.current < 0 ? 0 : Math.round(elapsed * expectedRate) - 1
                   lastVideoTimeRef.current = videoRef.current.currentTime
                   
-                  if (handLandmarkerRef.current) {
+                  // A replay takes over from the live camera
+                  if (handLandmarkerRef.current && !replayRef.current) {
                     try {
+                      const start = performance.now()
                       const result = handLandmarkerRef.current.detectForVideo(
                         videoRef.current,
-                        performance.now()
+                        start
                       )
+                      detectionStats.record(start, performance.now() - start, skipped)
+                      gestureRecorder.record(start, result)
                       processGestures(result)
+                      drawHandOverlay(overlayRef.current, videoRef.current, gestureState.hands)
                     } catch (err) {
                       console.error('Detection error:', err)
                     }
@@ -1017,52 +1246,76 @@ export default function ChristmasTree() {
           }
         }
       } catch (error) {
-        console.error('MediaPipe init error:', error)
+        console.error('Camera init error:', error)
         setGestureHint('Camera unavailable')
       }
     }
     
-    function processGestures(result) {
-      if (result.landmarks && result.landmarks.length > 0) {
-        gestureState.hand.detected = true
-        const lm = result.landmarks[0]
-        gestureState.hand.x = (lm[9].x - 0.5) * 2
-        gestureState.hand.y = (lm[9].y - 0.5) * 2
-
-        const thumb = lm[4]
-        const index = lm[8]
-        const wrist = lm[0]
-        const pinchDist = Math.hypot(thumb.x - index.x, thumb.y - index.y)
-        
-        const tips = [lm[8], lm[12], lm[16], lm[20]]
-        let openDist = 0
-        tips.forEach(t => openDist += Math.hypot(t.x - wrist.x, t.y - wrist.y))
-        openDist /= 4
-
-        // Gesture detection - adjusted thresholds
-        if (pinchDist < 0.05) {
-          // Pinch gesture - heart mode
-          gestureState.mode = 'HEART'
-          setGestureHint(`❤️ HEART MODE - Pinch detected (${pinchDist.toFixed(3)})`)
-        } else if (openDist < 0.30) {
-          // Closed fist - tree mode
-          gestureState.mode = 'TREE'
-          setGestureHint(`✊ TREE MODE - Auto-rotating (${openDist.toFixed(2)})`)
-        } else if (openDist > 0.35) {
-          // Open hand - scatter mode
-          gestureState.mode = 'SCATTER'
-          setGestureHint(`✋ SCATTER MODE - Move to edge to rotate (${openDist.toFixed(2)})`)
-        } else {
-          // Transition state
-          setGestureHint(`🖐️ Transitioning... openDist: ${openDist.toFixed(2)}, pinch: ${pinchDist.toFixed(3)}`)  
+    let lastModeSide = null
+
+    function processGestures(result, now = performance.now()) {
+      const landmarks = splitHands(result)
+      const results = {}
+      HANDS.forEach(side => {
+        const lm = landmarks[side]
+        results[side] = gestureClassifiers[side].update(lm, now)
+        const hand = gestureState.hands[side]
+        hand.detected = !!lm
+        hand.landmarks = lm
+        hand.gesture = results[side].gesture
+        hand.confidence = results[side].confidence
+        hand.confidences = results[side].confidences
+        hand.features = results[side].features
+        if (lm) {
+          hand.x = (lm[9].x - 0.5) * 2
+          hand.y = (lm[9].y - 0.5) * 2
         }
+      })
+
+      // One hand does everything; with two, the mode hand gestures and the other steers
+      const visible = HANDS.filter(side => landmarks[side])
+      const modeSide = visible.length === 2 ? gestureState.modeHand : visible[0] || lastModeSide
+      const steerSide = visible.length === 2 ? HANDS.find(side => side !== modeSide) : visible[0]
+      lastModeSide = modeSide
+
+      // Both hands open: spread / close to zoom, turn like a steering wheel to twist
+      const twoHanded = visible.length === 2 && results.Left.gesture === 'OPEN' && results.Right.gesture === 'OPEN'
+      const { zoom, twist } = twoHandTracker.update(
+        twoHanded ? landmarks.Left : null,
+        twoHanded ? landmarks.Right : null
+      )
+      gestureState.zoom *= zoom
+      // Turning clockwise (as seen in the mirrored preview) spins the tree to the right
+      gestureState.rotation.y -= twist
+
+      gestureState.twoHanded = twoHanded
+      if (twoHanded) {
+        // Hold steering still while twisting
+        Object.assign(gestureState.hand, { detected: true, x: 0, y: 0, pinch: 0 })
+      } else if (steerSide) {
+        const { x, y } = gestureState.hands[steerSide]
+        const pinch = results[steerSide].confidences?.PINCH || 0
+        Object.assign(gestureState.hand, { detected: true, x, y, pinch })
       } else {
+        // Keep the current mode - losing the hand shouldn't undo what it did
         gestureState.hand.detected = false
-        gestureState.mode = 'TREE' // Default to tree mode when no hand
+      }
+
+      const { gesture, event } = modeSide ? results[modeSide] : {}
+      if (event) gestureActionRef.current(event)
+
+      // Poses act once when the recognised pose changes
+      if (gesture === gestureState.gesture) return
+      gestureState.gesture = gesture
+      if (gesture) {
+        gestureActionRef.current(gesture)
+      } else {
         setGestureHint('Waiting for hand...')
       }
     }
     
+    // Replays feed recorded results through the same pipeline
+    processGesturesRef.current = processGestures
     initMediaPipe()
     
     // Listen for fullscreen changes
@@ -1088,25 +1341,266 @@ export default function ChristmasTree() {
     }
   }, [])
 
-  const cycleTheme = () => {
-    const themes = Object.keys(COLOR_THEMES)
-    const currentIndex = themes.indexOf(currentTheme)
-    const nextIndex = (currentIndex + 1) % themes.length
-    const nextTheme = themes[nextIndex]
-    setCurrentTheme(nextTheme)
-    localStorage.setItem('christmasTheme', nextTheme)
-
-    // Change music and play
-    if (audioRef.current) {
-      audioRef.current.src = COLOR_THEMES[nextTheme].music
-      audioRef.current.play()
-        .then(() => {
-          setIsMusicPlaying(true)
-        })
+  // Keyboard shortcuts
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      const command = findKeyCommand(event, keyCommands)
+      if (!command) return
+      // Stop Space from also clicking the focused button and arrows from scrolling
+      event.preventDefault()
+      keyCommandRef.current(command)
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [keyCommands])
+
+  // Touch shortcuts on the scene, for phones and tablets without hand tracking
+  useEffect(() => {
+    return attachTouchGestures(canvasRef.current, {
+      onPinch: () => touchActionRef.current(modeAction('HEART')),
+      onDoubleTap: () => touchActionRef.current(modeAction('SCATTER')),
+      onLongPress: () => touchActionRef.current(modeAction(DEFAULT_FORMATION)),
+    })
+  }, [])
+
+  const selectTheme = (themeId, theme = themes[themeId]) => {
+    setCurrentTheme(themeId)
+    localStorage.setItem('christmasTheme', themeId)
+
+    if (!musicSettings.keepTrack) {
+      musicPlayer.play(trackForTheme(musicTracks, musicSettings, themeId, theme))
         .catch(err => console.error('Music play failed:', err))
     }
   }
 
+  const cycleTheme = (step = 1) => {
+    const themeIds = Object.keys(themes)
+    const currentIndex = themeIds.indexOf(currentTheme)
+    const nextIndex = (currentIndex + step + themeIds.length) % themeIds.length
+    selectTheme(themeIds[nextIndex])
+  }
+
+  const openThemeEditor = () => {
+    setIsGestureSettingsOpen(false)
+    setIsMusicPanelOpen(false)
+    setIsScreenshotPanelOpen(false)
+    setIsVideoPanelOpen(false)
+    setIsThemeEditorOpen(true)
+  }
+
+  const closeThemeEditor = () => {
+    setIsThemeEditorOpen(false)
+    setPreviewTheme(null)
+  }
+
+  const handlePreviewTheme = useCallback((theme) => setPreviewTheme(theme), [])
+
+  // Gesture calibration
+  const handleSaveCalibration = (calibration) => {
+    saveCalibration(calibration)
+    HANDS.forEach(side => gestureClassifiers[side].setCalibration(calibration))
+    setIsCalibrating(false)
+    setGestureHint('🖐️ Gestures calibrated')
+  }
+
+  const openGestureSettings = () => {
+    closeThemeEditor()
+    setIsMusicPanelOpen(false)
+    setIsScreenshotPanelOpen(false)
+    setIsVideoPanelOpen(false)
+    setIsGestureSettingsOpen(true)
+  }
+
+  const openScreenshotPanel = () => {
+    closeThemeEditor()
+    setIsGestureSettingsOpen(false)
+    setIsVideoPanelOpen(false)
+    setIsScreenshotPanelOpen(true)
+  }
+
+  // Render the scene at the chosen size with the card text, and save it as a PNG
+  const saveImage = async ({ sizeId, includeTitle, message, includeWebcam }) => {
+    if (!captureRef.current) return
+    setIsSavingImage(true)
+    try {
+      const { width, height } = imageSize(sizeId, canvasRef.current)
+      const canvas = drawCardOverlay(captureRef.current(width, height), {
+        title: includeTitle && `Merry Christmas ${displayName}`,
+        message,
+        video: includeWebcam && cameraActive ? videoRef.current : null,
+      })
+      const blob = await canvasToBlob(canvas)
+      const saved = await saveBlob(blob, `christmas-tree-${fileTimestamp()}.png`, { name: 'PNG image', extensions: ['png'] })
+      if (saved) setGestureHint('📸 Image saved')
+    } catch (err) {
+      console.error('Image export failed:', err)
+      alert(`保存图片失败：${err.message}`)
+    } finally {
+      setIsSavingImage(false)
+    }
+  }
+
+  const openVideoPanel = () => {
+    closeThemeEditor()
+    setIsGestureSettingsOpen(false)
+    setIsScreenshotPanelOpen(false)
+    setIsVideoPanelOpen(true)
+  }
+
+  // Record the scene and music to WebM, optionally following a script of formations
+  const startVideoRecording = async ({ duration, sequence }) => {
+    if (videoSessionRef.current) return
+    setIsVideoPanelOpen(false)
+    // This click counts as the user gesture the AudioContext needs
+    audioAnalyser.connect(musicPlayer.elements)
+    const music = audioAnalyser.createRecordingTrack()
+
+    try {
+      videoSessionRef.current = recordScene({
+        canvas: canvasRef.current,
+        audioTrack: music?.track,
+        duration,
+        sequence,
+        onCountdown: countdown => setVideoRecording({ countdown }),
+        onProgress: elapsed => setVideoRecording({ elapsed, duration }),
+        onModeChange: switchMode,
+      })
+    } catch (err) {
+      music?.release()
+      alert(`无法录制视频：${err.message}`)
+      return
+    }
+
+    try {
+      const blob = await videoSessionRef.current.finished
+      if (blob) {
+        const saved = await saveBlob(blob, `christmas-tree-${fileTimestamp()}.webm`, { name: 'WebM video', extensions: ['webm'] })
+        if (saved) setGestureHint('🎬 Video saved')
+      }
+    } catch (err) {
+      console.error('Video recording failed:', err)
+      alert(`录制视频失败：${err.message}`)
+    } finally {
+      music?.release()
+      videoSessionRef.current = null
+      setVideoRecording(null)
+    }
+  }
+
+  const stopVideoRecording = () => videoSessionRef.current?.stop()
+
+  useEffect(() => () => videoSessionRef.current?.stop(), [])
+
+  const togglePhotoManager = () => {
+    setIsMusicPanelOpen(false)
+    setIsPhotoManagerOpen(open => !open)
+  }
+
+  const openMusicPanel = () => {
+    closeThemeEditor()
+    setIsGestureSettingsOpen(false)
+    setIsPhotoManagerOpen(false) // Same spot on screen
+    setIsMusicPanelOpen(true)
+  }
+
+  const handleBindingsChange = (bindings) => {
+    setGestureBindings(bindings)
+    saveBindings(bindings)
+  }
+
+  const handleModeHandChange = (hand) => {
+    gestureState.modeHand = hand
+    saveModeHand(hand)
+    setModeHand(hand)
+  }
+
+  // Gesture recording and replay
+  const toggleGestureRecording = () => {
+    if (gestureRecorder.active) {
+      const recording = gestureRecorder.stop()
+      setIsRecordingGestures(false)
+      setGestureHint(`⏺ Recorded ${recording.frames.length} frames`)
+      downloadRecording(recording)
+    } else {
+      gestureRecorder.start()
+      setIsRecordingGestures(true)
+      setGestureHint('⏺ Recording gestures...')
+    }
+  }
+
+  const stopGestureReplay = useCallback(() => {
+    if (!replayRef.current) return
+    replayRef.current.stop()
+    replayRef.current = null
+    setIsReplayingGestures(false)
+    // Let go of the replayed hands
+    processGesturesRef.current?.({ landmarks: [] })
+    drawHandOverlay(overlayRef.current, videoRef.current, gestureState.hands)
+  }, [gestureState])
+
+  const startGestureReplay = useCallback((recording, { loop = false } = {}) => {
+    stopGestureReplay()
+    HANDS.forEach(side => gestureClassifiers[side].reset())
+    replayRef.current = playRecording(recording, (result, time) => {
+      processGesturesRef.current(result, time)
+      drawHandOverlay(overlayRef.current, videoRef.current, gestureState.hands)
+    }, { loop, onEnd: stopGestureReplay })
+    setIsReplayingGestures(true)
+    setGestureHint('▶ Replaying recorded gestures')
+  }, [gestureClassifiers, gestureState, stopGestureReplay])
+
+  // ?replay=<url>[&loop] plays a recorded gesture session on start-up (kiosk demos, camera-less testing)
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search)
+    const url = params.get('replay')
+    if (!url) return
+
+    loadRecording(url)
+      .then(recording => startGestureReplay(recording, { loop: params.has('loop') }))
+      .catch(err => {
+        console.error('Gesture replay failed:', err)
+        setGestureHint('▶ Gesture replay failed to load')
+      })
+    return stopGestureReplay
+  }, [startGestureReplay, stopGestureReplay])
+
+  const handleReplayFile = async (file) => {
+    try {
+      startGestureReplay(parseRecording(JSON.parse(await file.text())))
+    } catch (err) {
+      console.error('Gesture replay failed:', err)
+      alert(`读取手势录制失败：${err.message}`)
+    }
+  }
+
+  const handleResetCalibration = () => {
+    saveCalibration(null)
+    HANDS.forEach(side => gestureClassifiers[side].setCalibration(DEFAULT_CALIBRATION))
+    setIsCalibrating(false)
+    setGestureHint('🖐️ Gesture calibration reset')
+  }
+
+  // Save as a new custom theme, or update an existing one
+  const handleSaveTheme = (theme, themeId) => {
+    const id = themeId || createCustomThemeId()
+    const nextCustomThemes = { ...customThemes, [id]: theme }
+    setCustomThemes(nextCustomThemes)
+    saveCustomThemes(nextCustomThemes)
+    selectTheme(id, theme)
+    closeThemeEditor()
+  }
+
+  const handleDeleteTheme = (themeId) => {
+    if (!confirm(`确定要删除主题 "${themes[themeId].name}" 吗？`)) return
+
+    const { [themeId]: removed, ...nextCustomThemes } = customThemes
+    setCustomThemes(nextCustomThemes)
+    saveCustomThemes(nextCustomThemes)
+    if (currentTheme === themeId) selectTheme('classic')
+    closeThemeEditor()
+  }
+
   const handleNameChange = (e) => {
     const name = e.target.value
     setUserName(name)
@@ -1117,6 +1611,54 @@ export default function ChristmasTree() {
     }
   }
 
+  const updateSeed = (nextSeed) => {
+    setSeed(nextSeed)
+    localStorage.setItem('christmasSeed', String(nextSeed))
+  }
+
+  const rerollSeed = () => updateSeed(randomSeed())
+
+  const commitSeed = (e) => {
+    const nextSeed = parseSeed(e.target.value)
+    if (nextSeed !== null) {
+      updateSeed(nextSeed)
+    } else {
+      e.target.value = seed
+    }
+  }
+
+  const toggleSeedPinned = () => {
+    const pinned = !seedPinned
+    setSeedPinned(pinned)
+    localStorage.setItem('christmasSeedPinned', String(pinned))
+    localStorage.setItem('christmasSeed', String(seed))
+  }
+
+  // Copy a link that recreates the current scene
+  const shareScene = async () => {
+    const controls = controlsRef.current
+    const url = buildShareUrl({
+      themeId: currentTheme,
+      theme: themes[currentTheme],
+      builtIn: !!COLOR_THEMES[currentTheme],
+      seed,
+      name: userName.trim(),
+      mode: gestureState.mode,
+      camera: controls && {
+        position: controls.object.position.toArray(),
+        target: controls.target.toArray(),
+      },
+    })
+
+    try {
+      await navigator.clipboard.writeText(url)
+      alert('分享链接已复制到剪贴板！')
+    } catch (err) {
+      console.error('Clipboard write failed:', err)
+      prompt('复制分享链接：', url)
+    }
+  }
+
   const toggleFullscreen = async () => {
     try {
       if (!document.fullscreenElement) {
@@ -1132,214 +1674,303 @@ export default function ChristmasTree() {
   }
 
   const toggleMusic = () => {
-    if (!audioRef.current) return
-
-    if (isMusicPlaying) {
-      audioRef.current.pause()
-      setIsMusicPlaying(false)
-    } else {
-      // Try to load and play
-      audioRef.current.load()
-      const playPromise = audioRef.current.play()
+    musicPlayer.toggle().catch((err) => {
+      console.error('Audio play failed:', err)
+      alert('Failed to play music. Please check your browser settings or try clicking again.')
+    })
+  }
 
-      if (playPromise !== undefined) {
-        playPromise
-          .then(() => {
-            setIsMusicPlaying(true)
-            console.log('Music playing successfully')
-          })
-          .catch(err => {
-            console.error('Audio play failed:', err)
-            alert('Failed to play music. Please check your browser settings or try clicking again.')
-          })
-      }
-    }
+  const refreshStorageInfo = () => {
+    getStorageEstimate().then(estimate => estimate && setStorageInfo(estimate))
   }
 
   // Handle photo upload
   const handlePhotoUpload = (event) => {
-    const files = event.target.files
-    if (!files || files.length === 0) return
+    const files = Array.from(event.target.files || []).filter(file => file.type.startsWith('image/'))
+    // Reset input
+    event.target.value = ''
+    if (files.length === 0) return
 
     // Check photo limit
-    if (photos.length >= 12) {
-      alert('最多只能添加12张照片哦！')
-      event.target.value = ''
+    const available = CONFIG.MAX_PHOTOS - photos.length
+    if (available <= 0) {
+      alert(`最多只能添加${CONFIG.MAX_PHOTOS}张照片哦！`)
       return
     }
 
     const startIndex = photos.length // Current count before adding new photos
+    const nextOrder = photos.reduce((max, p) => Math.max(max, p.order), -1) + 1
 
-    Array.from(files).forEach((file, fileIndex) => {
-      // Stop if already at limit
+    files.slice(0, available).forEach(async (file, fileIndex) => {
       const currentIndex = startIndex + fileIndex
-      if (currentIndex >= 12) return
-
-      if (!file.type.startsWith('image/')) return
-
-      const reader = new FileReader()
-      reader.onload = (e) => {
-        const img = new Image()
-        img.onload = () => {
-          // Compress image for storage
-          const canvas = document.createElement('canvas')
-          const ctx = canvas.getContext('2d')
-
-          // Limit size for storage (max width 600px for better quality)
-          const maxWidth = 600
-          const scale = Math.min(1, maxWidth / img.width)
-          canvas.width = img.width * scale
-          canvas.height = img.height * scale
-
-          ctx.drawImage(img, 0, 0, canvas.width, canvas.height)
-          const compressedImageData = canvas.toDataURL('image/jpeg', 0.8) // 80% quality
-
-          // Create texture from original image for better quality
-          const texture = new THREE.Texture(img)
-          texture.needsUpdate = true
-
-          // Much smaller size - like small ornaments
-          const aspectRatio = img.width / img.height
-          const baseSize = 0.35
-          const size = aspectRatio > 1
-            ? [baseSize * aspectRatio, baseSize]
-            : [baseSize, baseSize / aspectRatio]
-
-          // Position on spiral - random distribution with angle offset
-          const loops = 9
-          const u = 0.15 + Math.random() * 0.75 // Random between 0.15 to 0.90
-          const h = Math.pow(u, 1.6)
-          const y = CONFIG.TREE_HEIGHT * h + 0.2 // Don't subtract 5.5, Scene group already has offset
-
-          // Calculate base radius with branch waves
-          let baseR = Math.pow(1 - h, 1.1) * 3.2
-          const branchWave = Math.max(0, Math.sin((h * 5.8 + 0.15) * Math.PI * 2))
-          const branchFactor = 1.0 + 0.65 * branchWave
-          baseR *= branchFactor
-
-          // Follow spiral angle with extra random offset to spread out
-          const t = u * loops * Math.PI * 2
-          const angle = t + (Math.random() - 0.5) * Math.PI * 1.5 // Add ±135° random offset
-
-          // Position at outer edge of spiral
-          const r = baseR * 1.08
-          const x = Math.cos(angle) * r
-          const z = Math.sin(angle) * r
-
-          // Generate heart position - scattered in outer space, far from center
-          // Random spherical distribution in outer layer
-          const theta = Math.random() * Math.PI * 2
-          const phi = Math.acos(2 * Math.random() - 1)
-          const radius = 8 + Math.random() * 5 // 8-13 units from center (much farther)
-
-          const finalHeartX = radius * Math.sin(phi) * Math.cos(theta)
-          const finalHeartY = radius * Math.sin(phi) * Math.sin(theta) + 10 // Elevated around +10
-          const finalHeartZ = radius * Math.cos(phi)
-
-          const photo = {
-            id: Date.now() + Math.random(),
-            texture,
-            imageData: compressedImageData, // Save compressed data
-            width: size[0],
-            height: size[1],
-            treePos: [x, y, z],
-            heartPos: [finalHeartX, finalHeartY, finalHeartZ]
-          }
 
-          setPhotos(prev => {
-            const newPhotos = [...prev, photo]
-            // Save to localStorage (without texture object)
-            try {
-              const photosToSave = newPhotos.map(p => ({
-                id: p.id,
-                imageData: p.imageData,
-                width: p.width,
-                height: p.height,
-                treePos: p.treePos,
-                heartPos: p.heartPos
-              }))
-              localStorage.setItem('christmasPhotos', JSON.stringify(photosToSave))
-            } catch (err) {
-              console.error('Failed to save photos to localStorage:', err)
-              // If storage fails, just keep in memory
-            }
-            return newPhotos
-          })
+      try {
+        const img = await loadImageBlob(file)
+
+        // Compress image for storage (max width 600px for better quality)
+        const canvas = document.createElement('canvas')
+        const maxWidth = 600
+        const scale = Math.min(1, maxWidth / img.width)
+        canvas.width = img.width * scale
+        canvas.height = img.height * scale
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height)
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8)) // 80% quality
+
+        // Create texture from original image for better quality
+        const texture = new THREE.Texture(img)
+        texture.needsUpdate = true
+
+        // Much smaller size - like small ornaments
+        const aspectRatio = img.width / img.height
+        const baseSize = 0.35
+        const size = aspectRatio > 1
+          ? [baseSize * aspectRatio, baseSize]
+          : [baseSize, baseSize / aspectRatio]
+
+        // Each formation picks where the photo goes
+        const photo = placePhoto({
+          id: Date.now() + Math.random(),
+          texture,
+          url: URL.createObjectURL(blob),
+          width: size[0],
+          height: size[1],
+          order: nextOrder + fileIndex
+        }, createRandom(seed, `photo:${currentIndex}`))
+
+        setPhotos(prev => [...prev, photo].sort((a, b) => a.order - b.order))
+
+        try {
+          const { texture: _texture, url: _url, ...record } = photo
+          await putPhoto({ ...record, blob })
+        } catch (err) {
+          // Keep the photo in memory for this session
+          console.error('Failed to save photo:', err)
+          alert('照片保存失败，可能是存储空间不足。刷新页面后这张照片会丢失。')
         }
-        img.src = e.target.result
+        refreshStorageInfo()
+      } catch (err) {
+        console.error('Failed to add photo:', err)
       }
-      reader.readAsDataURL(file)
     })
 
-    // Reset input
-    event.target.value = ''
+    if (files.length > available) {
+      alert(`最多只能添加${CONFIG.MAX_PHOTOS}张照片哦！只添加了前${available}张。`)
+    }
   }
 
   const triggerPhotoUpload = () => {
     fileInputRef.current?.click()
   }
 
+  const togglePhotoExpanded = useCallback((id) => {
+    setExpandedPhotoIds(prev => {
+      const next = new Set(prev)
+      if (next.has(id)) {
+        next.delete(id)
+      } else {
+        next.add(id)
+      }
+      return next
+    })
+  }, [])
+
+  const removePhotos = (ids) => {
+    const removed = new Set(ids)
+    photos.filter(photo => removed.has(photo.id)).forEach(photo => {
+      URL.revokeObjectURL(photo.url)
+      photo.texture.dispose()
+    })
+    setPhotos(prev => prev.filter(photo => !removed.has(photo.id)))
+    setExpandedPhotoIds(prev => new Set([...prev].filter(id => !removed.has(id))))
+
+    deletePhotos(ids)
+      .then(refreshStorageInfo)
+      .catch(err => console.error('Failed to delete photos:', err))
+  }
+
+  const deletePhoto = (id) => {
+    if (confirm('确定要删除这张照片吗？')) {
+      removePhotos([id])
+    }
+  }
+
   const clearAllPhotos = () => {
     if (photos.length === 0) return
 
-    // Get currently expanded photos
-    const expandedSet = getExpandedPhotosRef.current ? getExpandedPhotosRef.current() : new Set()
-
-    if (expandedSet.size === 0) {
+    const expandedIds = photos.filter(photo => expandedPhotoIds.has(photo.id)).map(photo => photo.id)
+    if (expandedIds.length === 0) {
       alert('没有放大的照片需要清除')
       return
     }
 
-    if (confirm(`确定要清除 ${expandedSet.size} 张放大的照片吗？`)) {
-      // Filter out expanded photos
-      const remainingPhotos = photos.filter((photo, i) => !expandedSet.has(i))
-      setPhotos(remainingPhotos)
-
-      // Update localStorage
-      try {
-        const photosToSave = remainingPhotos.map(p => ({
-          id: p.id,
-          imageData: p.imageData,
-          width: p.width,
-          height: p.height,
-          treePos: p.treePos,
-          heartPos: p.heartPos
-        }))
-        localStorage.setItem('christmasPhotos', JSON.stringify(photosToSave))
-      } catch (err) {
-        console.error('Failed to update localStorage:', err)
-      }
-
-      // Clear expanded state
-      if (clearExpandedPhotosRef.current) {
-        clearExpandedPhotosRef.current()
-      }
+    if (confirm(`确定要清除 ${expandedIds.length} 张放大的照片吗？`)) {
+      removePhotos(expandedIds)
     }
   }
 
   const clearExpandedPhotos = () => {
-    if (clearExpandedPhotosRef.current) {
-      clearExpandedPhotosRef.current()
+    setExpandedPhotoIds(new Set())
+  }
+
+  // Caption or placement edits from the photo manager; persist: false only
+  // updates the scene, for edits still in progress
+  const updatePhoto = (id, changes, { persist = true } = {}) => {
+    setPhotos(prev => prev.map(photo => (photo.id === id ? { ...photo, ...changes } : photo)))
+    if (!persist) return
+    updatePhotos([{ id, ...changes }])
+      .catch(err => console.error('Failed to update photo:', err))
+  }
+
+  // Move a photo to where another one is and renumber the order
+  const reorderPhotos = (fromId, toId) => {
+    const next = [...photos]
+    const from = next.findIndex(photo => photo.id === fromId)
+    const to = next.findIndex(photo => photo.id === toId)
+    if (from < 0 || to < 0) return
+
+    next.splice(to, 0, next.splice(from, 1)[0])
+    const reordered = next.map((photo, order) => ({ ...photo, order }))
+    setPhotos(reordered)
+    updatePhotos(reordered.map(({ id, order }) => ({ id, order })))
+      .catch(err => console.error('Failed to save photo order:', err))
+  }
+
+  // Expand the first photo (in order) that isn't expanded yet
+  const expandNextPhoto = () => {
+    const next = photos.find(photo => !expandedPhotoIds.has(photo.id))
+    if (next) togglePhotoExpanded(next.id)
+  }
+
+  // Step through the photos one at a time, expanding only the current one
+  const showPhoto = (step) => {
+    if (photos.length === 0) return
+    const index = (Math.max(photoCursorRef.current, step > 0 ? -1 : 0) + step + photos.length) % photos.length
+    photoCursorRef.current = index
+    setExpandedPhotoIds(new Set([photos[index].id]))
+  }
+
+  const toggleCurrentPhoto = () => {
+    const photo = photos[photoCursorRef.current]
+    if (photo) togglePhotoExpanded(photo.id)
+    else showPhoto(1)
+  }
+
+  // Close whatever panel or overlay is open
+  const closePanels = () => {
+    setIsKeyboardHelpOpen(false)
+    setIsCalibrating(false)
+    setIsGestureSettingsOpen(false)
+    setIsPhotoManagerOpen(false)
+    setIsMusicPanelOpen(false)
+    setIsScreenshotPanelOpen(false)
+    setIsVideoPanelOpen(false)
+    closeThemeEditor()
+    // Browsers exit fullscreen on Esc themselves, but not every Electron build does
+    if (document.fullscreenElement) document.exitFullscreen().catch(() => {})
+  }
+
+  // Change formation, whatever asked for it - it stays until something else changes it
+  const switchMode = (id) => {
+    const formation = getFormation(id)
+    gestureState.mode = formation.id
+    setCurrentMode(formation.id)
+    return formation
+  }
+
+  // Run an app action from a gesture, key or touch binding; returns its hint text
+  const runAction = (action) => {
+    if (action.startsWith('MODE:')) {
+      const formation = switchMode(action.slice('MODE:'.length))
+      return `${formation.icon} ${formation.label.toUpperCase()} MODE`
+    }
+
+    const handlers = {
+      NEXT_THEME: () => cycleTheme(1),
+      PREVIOUS_THEME: () => cycleTheme(-1),
+      TOGGLE_MUSIC: toggleMusic,
+      NEXT_TRACK: () => musicPlayer.next().catch(err => console.error('Music play failed:', err)),
+      PREVIOUS_TRACK: () => musicPlayer.previous().catch(err => console.error('Music play failed:', err)),
+      EXPAND_NEXT_PHOTO: expandNextPhoto,
+      NEXT_PHOTO: () => showPhoto(1),
+      PREVIOUS_PHOTO: () => showPhoto(-1),
+      SHRINK_ALL: clearExpandedPhotos,
+      TOGGLE_UI: () => setIsUIHidden(hidden => !hidden),
+      // Browsers only allow fullscreen from a click or key press, so this mainly helps in Electron
+      TOGGLE_FULLSCREEN: toggleFullscreen,
+      CYCLE_FORCE_FIELD: cycleForceField,
+      TOGGLE_PHOTO: toggleCurrentPhoto,
+      SHOW_HELP: () => setIsKeyboardHelpOpen(open => !open),
+      CLOSE_PANELS: closePanels,
     }
+    handlers[action]?.()
+    return APP_ACTIONS[action] || KEY_ACTIONS[action]
+  }
+
+  // Run the action bound to a recognised gesture
+  gestureActionRef.current = (gesture) => {
+    const action = gestureBindings[gesture]
+    if (gestureState.calibrating || !action || action === NO_ACTION) return
+    setGestureHint(`${GESTURES[gesture].icon} ${runAction(action)}`)
+  }
+
+  keyCommandRef.current = (command) => {
+    setGestureHint(`⌨️ ${runAction(command.action)}`)
   }
 
-  const displayName = 'W.Yr.';//userName.trim() || '[Name]'
-  const themeName = COLOR_THEMES[currentTheme].name
+  touchActionRef.current = (action) => {
+    setGestureHint(`👆 ${runAction(action)}`)
+  }
+
+  // Off -> repel -> attract
+  const cycleForceField = () => {
+    const modes = Object.keys(FORCE_MODES)
+    const next = modes[(modes.indexOf(gestureState.forceField.mode) + 1) % modes.length]
+    gestureState.forceField.mode = next
+    setForceFieldMode(next)
+  }
+
+  // Spell the greeting name with the particles
+  const toggleNameFormation = () => {
+    const formation = switchMode(currentMode === 'TEXT' ? DEFAULT_FORMATION : 'TEXT')
+    setGestureHint(`${formation.icon} ${formation.label.toUpperCase()} MODE`)
+  }
+
+  const displayName = userName.trim() || 'W.Yr.'
+  // The theme editor previews its draft live
+  const activeTheme = previewTheme || themes[currentTheme]
+  const sceneTheme = useDeferredValue(activeTheme)
+  const themeName = activeTheme.name
 
   return (
     <>
       <Canvas
+        ref={canvasRef}
         camera={{ position: [0, CONFIG.CAM_HEIGHT, CONFIG.CAM_DIST], fov: 40 }}
+        dpr={Math.min(window.devicePixelRatio || 1, quality.maxDpr)}
+        frameloop={qualitySettings.batterySaver ? 'demand' : 'always'}
         style={{ background: '#000' }}
       >
+        {qualitySettings.batterySaver && <FrameLimiter fps={BATTERY_SAVER_FPS} />}
+        <QualityMonitor
+          enabled={qualitySettings.level === AUTO_QUALITY && !qualitySettings.batterySaver}
+          onStep={stepAutoQuality}
+        />
         <Scene
-          currentTheme={currentTheme}
+          theme={sceneTheme}
+          seed={seed}
+          quality={quality}
+          cameraView={sharedScene?.camera}
           gestureState={gestureState}
+          audioAnalyser={audioAnalyser}
           photos={photos}
-          onClearExpandedPhotos={(clearFn) => clearExpandedPhotosRef.current = clearFn}
-          onGetExpandedPhotos={(getFn) => getExpandedPhotosRef.current = getFn}
+          greeting={displayName}
+          expandedPhotoIds={expandedPhotoIds}
+          onTogglePhotoExpanded={togglePhotoExpanded}
+          captureRef={captureRef}
         />
         <OrbitControls
+          ref={controlsRef}
+          makeDefault
           enablePan={true}
           enableZoom={true}
           enableRotate={true}
@@ -1348,44 +1979,258 @@ export default function ChristmasTree() {
         />
       </Canvas>
 
-      <div className="ui-overlay">
+      <div className={`ui-overlay${isUIHidden ? ' ui-hidden' : ''}`}>
         <h1 className="title">Merry Christmas {displayName}</h1>
+
+        {videoRecording && (
+          <div className="video-recording">
+            {videoRecording.countdown ? (
+              <div className="video-countdown">{videoRecording.countdown}</div>
+            ) : (
+              <>
+                <span className="video-recording-label">
+                  ⏺ REC {formatSeconds(videoRecording.elapsed)}
+                  {videoRecording.duration ? ` / ${formatSeconds(videoRecording.duration)}` : ''}
+                </span>
+                {videoRecording.duration && (
+                  <div className="video-progress">
+                    <div style={{ width: `${Math.min(100, videoRecording.elapsed / videoRecording.duration * 100)}%` }} />
+                  </div>
+                )}
+              </>
+            )}
+            <button className="elegant-btn" onClick={stopVideoRecording}>
+              {videoRecording.countdown ? '✖ Cancel' : '⏹ Stop'}
+            </button>
+          </div>
+        )}
+
+        <ModeSwitcher
+          mode={currentMode}
+          onSelect={(id) => setGestureHint(runAction(modeAction(id)))}
+        />
         
         <div className="top-right-controls">
           <button className="elegant-btn" onClick={toggleMusic}>
             {isMusicPlaying ? '🔊 Music ON' : '🔇 Music OFF'}
           </button>
+          <button className="elegant-btn" onClick={openMusicPanel}>
+            🎵 Playlist
+          </button>
+          <label className="hint-text audio-reactivity" title="How strongly the lights react to the music">
+            ✨ Light show
+            <input
+              type="range"
+              min="0"
+              max={MAX_REACTIVITY}
+              step="0.1"
+              value={audioReactivity}
+              onChange={(e) => handleReactivityChange(parseFloat(e.target.value))}
+            />
+          </label>
+          <label className="hint-text quality-control" title="Particles, resolution, gesture detection rate and snow">
+            ⚙️ Quality
+            <select
+              value={qualitySettings.level}
+              disabled={qualitySettings.batterySaver}
+              onChange={(e) => updateQualitySettings({ level: e.target.value })}
+            >
+              <option value={AUTO_QUALITY}>Auto ({activeQualityLevel({ ...qualitySettings, level: AUTO_QUALITY, batterySaver: false }).label})</option>
+              {QUALITY_LEVELS.map(level => (
+                <option key={level.id} value={level.id}>{level.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="hint-text quality-control" title={`Low quality, drawn at ${BATTERY_SAVER_FPS} fps`}>
+            <input
+              type="checkbox"
+              checked={qualitySettings.batterySaver}
+              onChange={(e) => updateQualitySettings({ batterySaver: e.target.checked })}
+            />
+            🔋 Battery saver
+          </label>
           <button className="elegant-btn" onClick={toggleFullscreen}>
             {isFullscreen ? '⛶ Exit Fullscreen' : '⛶ Fullscreen'}
           </button>
           <button className="elegant-btn" onClick={triggerPhotoUpload}>
             📷 Add Photo
           </button>
+          <button className="elegant-btn" onClick={togglePhotoManager}>
+            🖼️ Manage Photos
+          </button>
           <button className="elegant-btn" onClick={clearAllPhotos}>
             🗑️ Delete Expanded
           </button>
           <button className="elegant-btn" onClick={clearExpandedPhotos}>
             ✖ Shrink Expanded
           </button>
+          <button className="elegant-btn" onClick={shareScene}>
+            🔗 Share
+          </button>
+          <button className="elegant-btn" onClick={openScreenshotPanel}>
+            📸 Save Image
+          </button>
+          <button className="elegant-btn" onClick={videoRecording ? stopVideoRecording : openVideoPanel}>
+            {videoRecording ? '⏹ Stop Video' : '🎬 Record Video'}
+          </button>
+          <div className="hint-text">
+            {storageInfo?.error
+              ? '📦 Photo storage unavailable'
+              : `📦 ${photos.length}/${CONFIG.MAX_PHOTOS} photos${storageInfo ? ` · ${formatBytes(storageInfo.usage)} / ${formatBytes(storageInfo.quota)}` : ''}`}
+          </div>
         </div>
 
         <div className="controls-container">
-          {/* <input
+          <input
             type="text"
             className="name-input"
             placeholder="Enter Name"
-            // value={userName}
+            value={userName}
+            maxLength={40}
             onChange={handleNameChange}
-          /> */}
+          />
+
+          <button className="elegant-btn" onClick={toggleNameFormation}>
+            ✨ Spell Name
+          </button>
+
+          <button className="elegant-btn" onClick={cycleForceField}>
+            {FORCE_MODES[forceFieldMode].icon} {FORCE_MODES[forceFieldMode].label}
+          </button>
           
-          <button className="elegant-btn" onClick={cycleTheme}>
+          <button className="elegant-btn" onClick={() => cycleTheme()}>
             🎨 {themeName}
           </button>
+
+          <button className="elegant-btn" onClick={openThemeEditor}>
+            🖌️ Edit Theme
+          </button>
+
+          <button className="elegant-btn" onClick={openGestureSettings}>
+            🎛️ Gestures
+          </button>
+
+          <div className="seed-controls">
+            <button className="elegant-btn" onClick={rerollSeed}>
+              🎲 Reroll
+            </button>
+            <input
+              key={seed}
+              type="text"
+              className="name-input seed-input"
+              inputMode="numeric"
+              title="Tree seed"
+              defaultValue={seed}
+              onBlur={commitSeed}
+              onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+            />
+            <button className="elegant-btn" onClick={toggleSeedPinned}>
+              {seedPinned ? '📌 Pinned' : '📍 Pin'}
+            </button>
+          </div>
           
-          <div className="hint-text">Press 'H' to hide UI</div>
+          <div className="hint-text">Press 'H' to hide UI · '?' for shortcuts</div>
         </div>
       </div>
 
+      {isGestureSettingsOpen && (
+        <GestureSettings
+          bindings={gestureBindings}
+          modeHand={modeHand}
+          onChange={handleBindingsChange}
+          onModeHandChange={handleModeHandChange}
+          diagnostics={isDiagnosticsOpen}
+          onDiagnosticsChange={setIsDiagnosticsOpen}
+          recording={isRecordingGestures}
+          replaying={isReplayingGestures}
+          onToggleRecording={cameraActive ? toggleGestureRecording : null}
+          onReplayFile={handleReplayFile}
+          onStopReplay={stopGestureReplay}
+          onCalibrate={cameraActive ? () => setIsCalibrating(true) : null}
+          onClose={() => setIsGestureSettingsOpen(false)}
+        />
+      )}
+
+      {isKeyboardHelpOpen && (
+        <KeyboardHelp
+          commands={keyCommands}
+          bindings={gestureBindings}
+          onClose={() => setIsKeyboardHelpOpen(false)}
+        />
+      )}
+
+      {isCalibrating && (
+        <GestureCalibration
+          gestureState={gestureState}
+          onSave={handleSaveCalibration}
+          onReset={handleResetCalibration}
+          onClose={() => setIsCalibrating(false)}
+        />
+      )}
+
+      {isThemeEditorOpen && (
+        <ThemeEditor
+          themes={themes}
+          themeId={currentTheme}
+          isCustom={!!customThemes[currentTheme]}
+          onPreview={handlePreviewTheme}
+          onSave={handleSaveTheme}
+          onDelete={handleDeleteTheme}
+          onClose={closeThemeEditor}
+        />
+      )}
+
+      {isVideoPanelOpen && (
+        <VideoPanel
+          onStart={startVideoRecording}
+          onClose={() => setIsVideoPanelOpen(false)}
+        />
+      )}
+
+      {isScreenshotPanelOpen && (
+        <ScreenshotPanel
+          title={`Merry Christmas ${displayName}`}
+          webcamAvailable={cameraActive}
+          saving={isSavingImage}
+          onSave={saveImage}
+          onClose={() => setIsScreenshotPanelOpen(false)}
+        />
+      )}
+
+      {isMusicPanelOpen && (
+        <MusicPanel
+          tracks={musicTracks}
+          settings={musicSettings}
+          currentTrack={currentTrack}
+          playing={isMusicPlaying}
+          themeName={themeName}
+          themeTrackId={musicSettings.themeTracks[currentTheme]}
+          onPlay={playTrack}
+          onToggle={toggleMusic}
+          onNext={() => runAction('NEXT_TRACK')}
+          onPrevious={() => runAction('PREVIOUS_TRACK')}
+          onSettingsChange={updateMusicSettings}
+          onAssign={assignThemeTrack}
+          onUpload={handleMusicUpload}
+          onDelete={deleteMusicTrack}
+          onClose={() => setIsMusicPanelOpen(false)}
+        />
+      )}
+
+      {isPhotoManagerOpen && (
+        <PhotoManager
+          photos={photos}
+          mode={currentMode}
+          expandedIds={expandedPhotoIds}
+          onUpdate={updatePhoto}
+          onDelete={deletePhoto}
+          onReorder={reorderPhotos}
+          onToggleExpanded={togglePhotoExpanded}
+          onAdd={triggerPhotoUpload}
+          onClose={() => setIsPhotoManagerOpen(false)}
+        />
+      )}
+
       {/* Hidden file input */}
       <input
         ref={fileInputRef}
@@ -1397,7 +2242,7 @@ export default function ChristmasTree() {
       />
 
       {/* Webcam preview */}
-      <div id="webcam-wrapper">
+      <div id="webcam-wrapper" className={isDiagnosticsOpen ? 'expanded' : ''}>
         <video 
           ref={videoRef}
           id="webcam" 
@@ -1405,24 +2250,31 @@ export default function ChristmasTree() {
           playsInline 
           muted
         />
+        <canvas ref={overlayRef} id="hand-overlay" />
         <div id="cam-status" className={cameraActive ? 'active' : ''}></div>
       </div>
 
+      {isDiagnosticsOpen && (
+        <GestureDiagnostics stats={detectionStats} gestureState={gestureState} />
+      )}
+
       {/* Gesture hint */}
       <div id="gesture-hint">{gestureHint}</div>
 
-      {/* Background Music */}
-      <audio
-        ref={audioRef}
-        loop
-        autoPlay
-        preload="auto"
-        src={COLOR_THEMES[currentTheme].music}
-        onPlay={() => setIsMusicPlaying(true)}
-        onPause={() => setIsMusicPlaying(false)}
-      />
-
-      <Snowflakes />
+      {/* Background Music - two elements, so tracks can cross-fade (the
+          outgoing one pausing afterwards doesn't mean the music stopped) */}
+      {[audioRef, crossfadeAudioRef].map((ref, i) => (
+        <audio
+          key={i}
+          ref={ref}
+          preload="auto"
+          onPlay={() => {
+            setIsMusicPlaying(true)
+            audioAnalyser.connect(musicPlayer.elements)
+          }}
+          onPause={() => setIsMusicPlaying(musicPlayer.playing)}
+        />
+      ))}
     </>
   )
 }
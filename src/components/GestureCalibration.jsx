@@ -0,0 +1,104 @@
+/**
+ * Gesture calibration - records the user's own fist, open hand and pinch so
+ * the classifier's thresholds fit their hand and camera.
+ */
+
+import React, { useEffect, useState } from 'react'
+import { CALIBRATION_STEPS, buildCalibration } from '../gestures'
+
+const PREPARE_MS = 1500 // Time to get the hand in position
+const RECORD_MS = 2000 // Time spent sampling each gesture
+const SAMPLE_MS = 50
+
+export default function GestureCalibration({ gestureState, onSave, onReset, onClose }) {
+  const [stepIndex, setStepIndex] = useState(-1) // -1: intro
+  const [phase, setPhase] = useState('prepare') // prepare | record
+  const [samples, setSamples] = useState({})
+  const [error, setError] = useState(null)
+
+  // Gestures don't switch modes while calibrating
+  useEffect(() => {
+    gestureState.calibrating = true
+    return () => { gestureState.calibrating = false }
+  }, [gestureState])
+
+  const step = CALIBRATION_STEPS[stepIndex]
+
+  useEffect(() => {
+    if (!step) return
+
+    if (phase === 'prepare') {
+      const timer = setTimeout(() => setPhase('record'), PREPARE_MS)
+      return () => clearTimeout(timer)
+    }
+
+    const values = []
+    const sampler = setInterval(() => {
+      // Either hand - calibrate with one hand in view
+      const hand = Object.values(gestureState.hands).find(h => h.detected && h.features)
+      if (hand) values.push({ ...hand.features })
+    }, SAMPLE_MS)
+
+    const timer = setTimeout(() => {
+      clearInterval(sampler)
+      const nextSamples = { ...samples, [step.key]: values }
+      setSamples(nextSamples)
+
+      if (stepIndex + 1 < CALIBRATION_STEPS.length) {
+        setStepIndex(stepIndex + 1)
+        setPhase('prepare')
+        return
+      }
+
+      try {
+        onSave(buildCalibration(nextSamples))
+      } catch (err) {
+        setError(err.message)
+        setStepIndex(-1)
+      }
+    }, RECORD_MS)
+
+    return () => {
+      clearInterval(sampler)
+      clearTimeout(timer)
+    }
+  }, [step, phase])
+
+  const start = () => {
+    setError(null)
+    setSamples({})
+    setPhase('prepare')
+    setStepIndex(0)
+  }
+
+  return (
+    <div className="theme-editor gesture-calibration">
+      <div className="theme-editor-header">
+        <span className="photo-manager-title">🖐️ Gesture Calibration</span>
+        <button className="theme-editor-close" onClick={onClose}>✖</button>
+      </div>
+
+      {step ? (
+        <div className="gesture-calibration-step">
+          <div className="gesture-calibration-prompt">{step.prompt}</div>
+          <div className="hint-text">
+            {phase === 'prepare' ? 'Get ready...' : 'Hold still - recording'}
+            {' '}({stepIndex + 1}/{CALIBRATION_STEPS.length})
+          </div>
+        </div>
+      ) : (
+        <>
+          <p className="gesture-calibration-text">
+            Hold each gesture in front of the camera for a couple of seconds,
+            at the distance you'll usually stand.
+          </p>
+          {error && <p className="gesture-calibration-error">Calibration failed: {error}</p>}
+          <div className="theme-editor-actions">
+            <button className="elegant-btn" onClick={start}>{error ? '↻ Retry' : '▶ Start'}</button>
+            <button className="elegant-btn" onClick={onReset}>↺ Defaults</button>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
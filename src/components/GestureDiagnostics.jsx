@@ -0,0 +1,47 @@
+/**
+ * Live hand-tracking diagnostics - detection rate, inference latency, dropped
+ * camera frames and each hand's gesture confidences.
+ */
+
+import React, { useEffect, useState } from 'react'
+import { GESTURES } from '../gestures'
+
+const REFRESH_MS = 500
+
+export default function GestureDiagnostics({ stats, gestureState }) {
+  const [snapshot, setSnapshot] = useState(() => stats.snapshot())
+  const [hands, setHands] = useState([])
+
+  // Poll instead of re-rendering on every detection
+  useEffect(() => {
+    const timer = setInterval(() => {
+      setSnapshot(stats.snapshot())
+      setHands(Object.entries(gestureState.hands)
+        .filter(([, hand]) => hand.detected && hand.confidences)
+        .map(([side, hand]) => ({ side, gesture: hand.gesture, confidences: { ...hand.confidences } })))
+    }, REFRESH_MS)
+    return () => clearInterval(timer)
+  }, [stats, gestureState])
+
+  return (
+    <div className="gesture-diagnostics">
+      <div>Detection: {snapshot.fps} fps</div>
+      <div>Latency: {snapshot.latency.toFixed(1)} ms (max {snapshot.maxLatency.toFixed(1)})</div>
+      <div>Dropped frames: {snapshot.dropped}</div>
+      <div>Mode: {gestureState.mode}</div>
+      {hands.length === 0 && <div>No hands</div>}
+      {hands.map(({ side, gesture, confidences }) => (
+        <div key={side} className="gesture-diagnostics-hand">
+          <div>{side} hand{side === gestureState.modeHand ? ' (gestures)' : ''}</div>
+          {Object.entries(confidences).map(([id, confidence]) => (
+            <div key={id} className={`gesture-diagnostics-row${id === gesture ? ' active' : ''}`}>
+              <span>{GESTURES[id].icon}</span>
+              <span className="gesture-diagnostics-bar" style={{ width: `${confidence * 100}%` }} />
+              <span>{Math.round(confidence * 100)}%</span>
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,89 @@
+/**
+ * Gesture settings - bind each recognised hand gesture to an action and pick
+ * which hand gestures when both are in view.
+ */
+
+import React, { useRef } from 'react'
+import { GESTURES } from '../gestures'
+import { DEFAULT_BINDINGS, HANDS, getGestureActions } from '../gestureBindings'
+
+export default function GestureSettings({
+  bindings, modeHand, diagnostics, recording, replaying,
+  onChange, onModeHandChange, onDiagnosticsChange, onToggleRecording, onReplayFile, onStopReplay, onCalibrate, onClose,
+}) {
+  const actions = getGestureActions()
+  const replayInputRef = useRef(null)
+
+  const handleReplayFile = (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (file) onReplayFile(file)
+  }
+
+  return (
+    <div className="theme-editor gesture-settings">
+      <div className="theme-editor-header">
+        <span className="photo-manager-title">🎛️ Gestures</span>
+        <button className="theme-editor-close" onClick={onClose}>✖</button>
+      </div>
+
+      <div className="theme-editor-section">Two hands</div>
+      <label className="theme-editor-field">
+        <span>Gesture hand</span>
+        <select value={modeHand} onChange={(e) => onModeHandChange(e.target.value)}>
+          {HANDS.map(hand => (
+            <option key={hand} value={hand}>{hand}</option>
+          ))}
+        </select>
+      </label>
+      <div className="hint-text">
+        The other hand steers. Open both hands and spread them to zoom, or turn them to twist.
+      </div>
+
+      <div className="theme-editor-section">Bindings</div>
+      {Object.entries(GESTURES).map(([id, gesture]) => (
+        <label key={id} className="theme-editor-field">
+          <span>{gesture.icon} {gesture.label}</span>
+          <select value={bindings[id]} onChange={(e) => onChange({ ...bindings, [id]: e.target.value })}>
+            {actions.map(action => (
+              <option key={action.id} value={action.id}>{action.label}</option>
+            ))}
+          </select>
+        </label>
+      ))}
+
+      <div className="theme-editor-section">Tracking</div>
+      <label className="theme-editor-field">
+        <span>Show diagnostics</span>
+        <input type="checkbox" checked={diagnostics} onChange={(e) => onDiagnosticsChange(e.target.checked)} />
+      </label>
+      <div className="theme-editor-actions">
+        {onToggleRecording && (
+          <button className="elegant-btn" onClick={onToggleRecording}>
+            {recording ? '⏹ Stop & Save' : '⏺ Record'}
+          </button>
+        )}
+        {replaying ? (
+          <button className="elegant-btn" onClick={onStopReplay}>⏹ Stop Replay</button>
+        ) : (
+          <button className="elegant-btn" onClick={() => replayInputRef.current?.click()}>▶ Replay</button>
+        )}
+      </div>
+
+      <div className="theme-editor-actions">
+        <button className="elegant-btn" onClick={() => onChange({ ...DEFAULT_BINDINGS })}>↺ Defaults</button>
+        {onCalibrate && (
+          <button className="elegant-btn" onClick={onCalibrate}>🖐️ Calibrate</button>
+        )}
+      </div>
+
+      <input
+        ref={replayInputRef}
+        type="file"
+        accept="application/json,.json"
+        onChange={handleReplayFile}
+        style={{ display: 'none' }}
+      />
+    </div>
+  )
+}
@@ -0,0 +1,44 @@
+/**
+ * Shortcut overlay (toggled with '?') - every key command and the action
+ * bound to each gesture.
+ */
+
+import React from 'react'
+import { GESTURES } from '../gestures'
+import { NO_ACTION, getGestureActions } from '../gestureBindings'
+import { keyName } from '../keyboard'
+
+export default function KeyboardHelp({ commands, bindings, onClose }) {
+  const actionLabels = Object.fromEntries(getGestureActions().map(action => [action.id, action.label]))
+
+  return (
+    <div className="keyboard-help" onClick={onClose}>
+      <div className="theme-editor keyboard-help-panel" onClick={(e) => e.stopPropagation()}>
+        <div className="theme-editor-header">
+          <span className="photo-manager-title">⌨️ Shortcuts</span>
+          <button className="theme-editor-close" onClick={onClose}>✖</button>
+        </div>
+
+        <div className="theme-editor-section">Keyboard</div>
+        {commands.map(command => (
+          <div key={command.action} className="theme-editor-field">
+            <span>{command.label}</span>
+            <span className="keyboard-help-keys">
+              {command.keys.map(key => <kbd key={key}>{keyName(key)}</kbd>)}
+            </span>
+          </div>
+        ))}
+
+        <div className="theme-editor-section">Gestures</div>
+        {Object.entries(GESTURES)
+          .filter(([id]) => bindings[id] && bindings[id] !== NO_ACTION)
+          .map(([id, gesture]) => (
+            <div key={id} className="theme-editor-field">
+              <span>{actionLabels[bindings[id]]}</span>
+              <span>{gesture.icon} {gesture.label}</span>
+            </div>
+          ))}
+      </div>
+    </div>
+  )
+}
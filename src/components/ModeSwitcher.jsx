@@ -0,0 +1,23 @@
+/**
+ * On-screen formation buttons, so every mode is reachable without a webcam.
+ */
+
+import React from 'react'
+import { getFormations } from '../formations'
+
+export default function ModeSwitcher({ mode, onSelect }) {
+  return (
+    <div className="mode-switcher">
+      {getFormations().map(formation => (
+        <button
+          key={formation.id}
+          className={`elegant-btn mode-switcher-btn${formation.id === mode ? ' active' : ''}`}
+          title={`${formation.label} mode`}
+          onClick={() => onSelect(formation.id)}
+        >
+          {formation.icon}
+        </button>
+      ))}
+    </div>
+  )
+}
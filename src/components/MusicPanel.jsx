@@ -0,0 +1,110 @@
+/**
+ * Music panel - playback controls, the playlist (bundled tracks plus the
+ * user's uploads), volume, and which track each theme plays.
+ */
+
+import React, { useRef } from 'react'
+
+export default function MusicPanel({
+  tracks, settings, currentTrack, playing, themeName, themeTrackId,
+  onPlay, onToggle, onNext, onPrevious, onSettingsChange, onAssign, onUpload, onDelete, onClose,
+}) {
+  const uploadInputRef = useRef(null)
+  const { excluded } = settings
+
+  const toggleIncluded = (id) => {
+    onSettingsChange({ excluded: excluded.includes(id) ? excluded.filter(t => t !== id) : [...excluded, id] })
+  }
+
+  const handleUpload = (event) => {
+    const files = Array.from(event.target.files || [])
+    event.target.value = ''
+    if (files.length > 0) onUpload(files)
+  }
+
+  return (
+    <div className="theme-editor music-panel">
+      <div className="theme-editor-header">
+        <span className="photo-manager-title">🎵 Playlist</span>
+        <button className="theme-editor-close" onClick={onClose}>✖</button>
+      </div>
+
+      <div className="music-panel-now">{currentTrack ? currentTrack.name : 'Nothing playing'}</div>
+      <div className="theme-editor-actions music-panel-transport">
+        <button className="elegant-btn" title="Previous track" onClick={onPrevious}>⏮</button>
+        <button className="elegant-btn" title={playing ? 'Pause' : 'Play'} onClick={onToggle}>{playing ? '⏸' : '▶'}</button>
+        <button className="elegant-btn" title="Next track" onClick={onNext}>⏭</button>
+        <button
+          className={`elegant-btn${settings.shuffle ? ' active' : ''}`}
+          title="Shuffle"
+          onClick={() => onSettingsChange({ shuffle: !settings.shuffle })}
+        >
+          🔀
+        </button>
+      </div>
+      <label className="theme-editor-field">
+        <span>Volume</span>
+        <input
+          type="range"
+          min={0}
+          max={1}
+          step={0.05}
+          value={settings.volume}
+          onChange={(e) => onSettingsChange({ volume: parseFloat(e.target.value) })}
+        />
+      </label>
+
+      <div className="theme-editor-section">Tracks</div>
+      <ul className="photo-manager-list">
+        {tracks.map(track => (
+          <li key={track.id} className={`music-panel-track${track.id === currentTrack?.id ? ' active' : ''}`}>
+            <input
+              type="checkbox"
+              title="In playlist"
+              checked={!excluded.includes(track.id)}
+              onChange={() => toggleIncluded(track.id)}
+            />
+            <button className="music-panel-name" title="Play" onClick={() => onPlay(track)}>
+              {track.id === currentTrack?.id ? '▶ ' : ''}{track.name}
+            </button>
+            {!track.builtIn && (
+              <button className="theme-editor-close" title="Delete" onClick={() => onDelete(track.id)}>🗑️</button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <div className="theme-editor-section">Themes</div>
+      <label className="theme-editor-field">
+        <span>{themeName}</span>
+        <select value={themeTrackId || ''} onChange={(e) => onAssign(e.target.value)}>
+          <option value="">Theme's own music</option>
+          {tracks.map(track => (
+            <option key={track.id} value={track.id}>{track.name}</option>
+          ))}
+        </select>
+      </label>
+      <label className="theme-editor-field">
+        <span>Keep track when theme changes</span>
+        <input
+          type="checkbox"
+          checked={settings.keepTrack}
+          onChange={(e) => onSettingsChange({ keepTrack: e.target.checked })}
+        />
+      </label>
+
+      <div className="theme-editor-actions">
+        <button className="elegant-btn" onClick={() => uploadInputRef.current?.click()}>⬆ Add Music</button>
+      </div>
+
+      <input
+        ref={uploadInputRef}
+        type="file"
+        accept="audio/*"
+        multiple
+        onChange={handleUpload}
+        style={{ display: 'none' }}
+      />
+    </div>
+  )
+}
@@ -0,0 +1,156 @@
+/**
+ * Photo manager drawer - thumbnails, captions, drag-to-reorder, delete and
+ * per-formation placement for every photo.
+ */
+
+import React, { useEffect, useRef, useState } from 'react'
+import { getFormations } from '../formations'
+
+// Slider position shown before a photo has been placed by hand
+const DEFAULT_PLACEMENT = [0.5, 0.5]
+
+function PhotoRow({ photo, formation, expanded, dragging, onUpdate, onDelete, onToggleExpanded, onDragStart, onDrop }) {
+  const [height, turn] = photo.placements?.[formation.id] || DEFAULT_PLACEMENT
+
+  // Typing and dragging show at once, but are only saved once the edit settles
+  const pendingRef = useRef(null)
+  const edit = (changes) => {
+    pendingRef.current = { ...pendingRef.current, ...changes }
+    onUpdate(photo.id, changes, { persist: false })
+  }
+  const save = () => {
+    if (!pendingRef.current) return
+    onUpdate(photo.id, pendingRef.current)
+    pendingRef.current = null
+  }
+  const saveRef = useRef(save)
+  saveRef.current = save
+  useEffect(() => () => saveRef.current(), [])
+
+  const reroll = () => {
+    const placements = { ...photo.placements }
+    delete placements[formation.id]
+    edit({
+      positions: { ...photo.positions, [formation.id]: formation.photo.place(Math.random) },
+      placements,
+    })
+    save()
+  }
+
+  const placeAt = (nextHeight, nextTurn) => {
+    edit({
+      positions: { ...photo.positions, [formation.id]: formation.photo.placeAt(nextHeight, nextTurn) },
+      placements: { ...photo.placements, [formation.id]: [nextHeight, nextTurn] },
+    })
+  }
+
+  return (
+    <li
+      className={`photo-manager-row${dragging ? ' dragging' : ''}`}
+      draggable
+      onDragStart={(e) => {
+        e.dataTransfer.effectAllowed = 'move'
+        onDragStart(photo.id)
+      }}
+      onDragEnd={() => onDragStart(null)}
+      onDragOver={(e) => e.preventDefault()}
+      onDrop={(e) => {
+        e.preventDefault()
+        onDrop(photo.id)
+      }}
+    >
+      <img className="photo-manager-thumb" src={photo.url} alt={photo.caption || ''} draggable={false} />
+
+      <div className="photo-manager-details">
+        <input
+          type="text"
+          className="name-input"
+          placeholder="Caption"
+          value={photo.caption || ''}
+          maxLength={80}
+          onChange={(e) => edit({ caption: e.target.value })}
+          onBlur={save}
+        />
+
+        <div className="photo-manager-actions">
+          <button className="elegant-btn" title="Re-roll position" onClick={reroll}>🎲</button>
+          <button className="elegant-btn" title={expanded ? 'Shrink' : 'Expand'} onClick={() => onToggleExpanded(photo.id)}>
+            {expanded ? '✖' : '🔍'}
+          </button>
+          <button className="elegant-btn" title="Delete" onClick={() => onDelete(photo.id)}>🗑️</button>
+        </div>
+
+        {formation.photo.placeAt && (
+          <>
+            <label className="theme-editor-field">
+              <span>Height</span>
+              <input type="range" min={0} max={1} step={0.01} value={height} onChange={(e) => placeAt(Number(e.target.value), turn)} onPointerUp={save} onKeyUp={save} onBlur={save} />
+            </label>
+            <label className="theme-editor-field">
+              <span>Turn</span>
+              <input type="range" min={0} max={1} step={0.01} value={turn} onChange={(e) => placeAt(height, Number(e.target.value))} onPointerUp={save} onKeyUp={save} onBlur={save} />
+            </label>
+          </>
+        )}
+      </div>
+    </li>
+  )
+}
+
+export default function PhotoManager({ photos, mode, expandedIds, onUpdate, onDelete, onReorder, onToggleExpanded, onAdd, onClose }) {
+  // Only formations that show photos can be edited
+  const formations = getFormations().filter(f => f.photo?.place)
+  const [formationId, setFormationId] = useState(() =>
+    (formations.find(f => f.id === mode) || formations[0]).id
+  )
+  const formation = formations.find(f => f.id === formationId) || formations[0]
+  const [draggingId, setDraggingId] = useState(null)
+
+  const handleDrop = (targetId) => {
+    if (draggingId !== null && draggingId !== targetId) onReorder(draggingId, targetId)
+    setDraggingId(null)
+  }
+
+  return (
+    <div className="theme-editor photo-manager">
+      <div className="theme-editor-header">
+        <span className="photo-manager-title">🖼️ Photos ({photos.length})</span>
+        <button className="theme-editor-close" onClick={onClose}>✖</button>
+      </div>
+
+      <label className="theme-editor-field">
+        <span>Placement in</span>
+        <select value={formation.id} onChange={(e) => setFormationId(e.target.value)}>
+          {formations.map(f => (
+            <option key={f.id} value={f.id}>{f.icon} {f.label}</option>
+          ))}
+        </select>
+      </label>
+
+      {photos.length === 0 ? (
+        <div className="hint-text">No photos yet</div>
+      ) : (
+        <ul className="photo-manager-list">
+          {photos.map(photo => (
+            <PhotoRow
+              key={photo.id}
+              photo={photo}
+              formation={formation}
+              expanded={expandedIds.has(photo.id)}
+              dragging={draggingId === photo.id}
+              onUpdate={onUpdate}
+              onDelete={onDelete}
+              onToggleExpanded={onToggleExpanded}
+              onDragStart={setDraggingId}
+              onDrop={handleDrop}
+            />
+          ))}
+        </ul>
+      )}
+
+      <div className="theme-editor-actions">
+        <button className="elegant-btn" onClick={onAdd}>📷 Add Photo</button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,63 @@
+/**
+ * Save Image panel - pick a resolution and what to draw on the card, then
+ * render the scene into a PNG.
+ */
+
+import React, { useState } from 'react'
+import { IMAGE_SIZES } from '../screenshot'
+
+export default function ScreenshotPanel({ title, webcamAvailable, saving, onSave, onClose }) {
+  const [sizeId, setSizeId] = useState('uhd')
+  const [includeTitle, setIncludeTitle] = useState(true)
+  const [message, setMessage] = useState('')
+  const [includeWebcam, setIncludeWebcam] = useState(false)
+
+  return (
+    <div className="theme-editor screenshot-panel">
+      <div className="theme-editor-header">
+        <span className="photo-manager-title">📸 Save Image</span>
+        <button className="theme-editor-close" onClick={onClose}>✖</button>
+      </div>
+
+      <label className="theme-editor-field">
+        <span>Size</span>
+        <select value={sizeId} onChange={(e) => setSizeId(e.target.value)}>
+          {Object.entries(IMAGE_SIZES).map(([id, size]) => (
+            <option key={id} value={id}>{size.label}</option>
+          ))}
+        </select>
+      </label>
+      <label className="theme-editor-field">
+        <span>Title "{title}"</span>
+        <input type="checkbox" checked={includeTitle} onChange={(e) => setIncludeTitle(e.target.checked)} />
+      </label>
+      {webcamAvailable && (
+        <label className="theme-editor-field">
+          <span>Webcam preview</span>
+          <input type="checkbox" checked={includeWebcam} onChange={(e) => setIncludeWebcam(e.target.checked)} />
+        </label>
+      )}
+
+      <div className="theme-editor-section">Message</div>
+      <textarea
+        className="name-input screenshot-message"
+        placeholder="Optional message for the card"
+        value={message}
+        maxLength={200}
+        rows={3}
+        onChange={(e) => setMessage(e.target.value)}
+      />
+      <div className="hint-text">Buttons and other controls are left out of the image.</div>
+
+      <div className="theme-editor-actions">
+        <button
+          className="elegant-btn"
+          disabled={saving}
+          onClick={() => onSave({ sizeId, includeTitle, message, includeWebcam })}
+        >
+          {saving ? '⏳ Saving...' : '💾 Save PNG'}
+        </button>
+      </div>
+    </div>
+  )
+}
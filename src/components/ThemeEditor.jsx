@@ -0,0 +1,190 @@
+/**
+ * Theme editor panel - edit colours, snow and music with a live preview,
+ * save custom themes and share them as JSON.
+ */
+
+import React, { useEffect, useRef, useState } from 'react'
+import { MUSIC_TRACKS, exportTheme, hexToRgb, normalizeTheme, rgbToHex } from '../themes'
+
+// Ground colours are stored per channel as [min, max]; the editor shows them as two colours
+function groundRange(ground, end) {
+  const pick = (channel) => (Array.isArray(channel) ? channel[end] : channel)
+  return [pick(ground.r), pick(ground.g), pick(ground.b)]
+}
+
+function ColorField({ label, value, onChange }) {
+  return (
+    <label className="theme-editor-field">
+      <span>{label}</span>
+      <input type="color" value={rgbToHex(value)} onChange={(e) => onChange(hexToRgb(e.target.value))} />
+    </label>
+  )
+}
+
+export default function ThemeEditor({ themes, themeId, isCustom, onPreview, onSave, onDelete, onClose }) {
+  // Built-in and shared themes are edited as a copy
+  const [draftId, setDraftId] = useState(isCustom ? themeId : null)
+  const [draft, setDraft] = useState(() => {
+    const theme = themes[themeId]
+    return isCustom ? theme : { ...theme, name: `${theme.name} (Custom)` }
+  })
+  const importInputRef = useRef(null)
+
+  // Live preview of every change
+  useEffect(() => {
+    onPreview(draft)
+  }, [draft, onPreview])
+
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }))
+  const updateTree = (changes) => setDraft(prev => ({ ...prev, tree: { ...prev.tree, ...changes } }))
+  const updateSnow = (changes) => setDraft(prev => ({ ...prev, snow: { ...prev.snow, ...changes } }))
+
+  const setGround = (end, [r, g, b]) => {
+    const from = end === 0 ? [r, g, b] : groundRange(draft.ground, 0)
+    const to = end === 1 ? [r, g, b] : groundRange(draft.ground, 1)
+    update({ ground: { r: [from[0], to[0]], g: [from[1], to[1]], b: [from[2], to[2]] } })
+  }
+
+  const setStars = (end, value) => {
+    const stars = [...draft.stars]
+    stars[end] = Number(value)
+    update({ stars })
+  }
+
+  // Sparkle points: plain white, a replacement tint, or a lighter tree colour
+  const sparkleMode = !draft.tree.white ? 'off' : draft.tree.whiteReplacement ? 'tint' : 'white'
+  const setSparkleMode = (mode) => {
+    if (mode === 'off') updateTree({ white: false, whiteReplacement: null })
+    else if (mode === 'tint') updateTree({ white: true, whiteReplacement: draft.tree.whiteReplacement || draft.tree.light })
+    else updateTree({ white: true, whiteReplacement: null })
+  }
+
+  const handleExport = () => {
+    const blob = new Blob([exportTheme(draft)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `${draft.name.replace(/[^\w\u4e00-\u9fff-]+/g, '_') || 'theme'}.json`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    try {
+      const theme = normalizeTheme(JSON.parse(await file.text()))
+      // Imported themes are saved as new custom themes
+      setDraftId(null)
+      setDraft(theme)
+    } catch (err) {
+      console.error('Theme import failed:', err)
+      alert(`导入主题失败：${err.message}`)
+    }
+  }
+
+  return (
+    <div className="theme-editor">
+      <div className="theme-editor-header">
+        <input
+          type="text"
+          className="name-input"
+          value={draft.name}
+          maxLength={40}
+          onChange={(e) => update({ name: e.target.value })}
+        />
+        <button className="theme-editor-close" onClick={onClose}>✖</button>
+      </div>
+
+      <div className="theme-editor-section">Tree</div>
+      <ColorField label="Deep" value={draft.tree.deep} onChange={(deep) => updateTree({ deep })} />
+      <ColorField label="Medium" value={draft.tree.medium} onChange={(medium) => updateTree({ medium })} />
+      <ColorField label="Light" value={draft.tree.light} onChange={(light) => updateTree({ light })} />
+
+      <label className="theme-editor-field">
+        <span>Sparkles</span>
+        <select value={sparkleMode} onChange={(e) => setSparkleMode(e.target.value)}>
+          <option value="white">White</option>
+          <option value="tint">Replacement colour</option>
+          <option value="off">Lighter tree colour</option>
+        </select>
+      </label>
+      {sparkleMode === 'tint' && (
+        <ColorField
+          label="Replacement"
+          value={draft.tree.whiteReplacement}
+          onChange={(whiteReplacement) => updateTree({ whiteReplacement })}
+        />
+      )}
+
+      <label className="theme-editor-field">
+        <span>Accent dots</span>
+        <input
+          type="checkbox"
+          checked={!!draft.tree.accent}
+          onChange={(e) => updateTree({ accent: e.target.checked ? [200, 20, 20] : null })}
+        />
+      </label>
+      {draft.tree.accent && (
+        <ColorField label="Accent" value={draft.tree.accent} onChange={(accent) => updateTree({ accent })} />
+      )}
+
+      <div className="theme-editor-section">Ground</div>
+      <ColorField label="From" value={groundRange(draft.ground, 0)} onChange={(rgb) => setGround(0, rgb)} />
+      <ColorField label="To" value={groundRange(draft.ground, 1)} onChange={(rgb) => setGround(1, rgb)} />
+
+      <div className="theme-editor-section">Stars</div>
+      <ColorField label="Top star" value={draft.heart} onChange={(heart) => update({ heart })} />
+      <label className="theme-editor-field">
+        <span>Brightness</span>
+        <input type="range" min={0} max={255} value={draft.stars[0]} onChange={(e) => setStars(0, e.target.value)} />
+        <input type="range" min={0} max={255} value={draft.stars[1]} onChange={(e) => setStars(1, e.target.value)} />
+      </label>
+
+      <div className="theme-editor-section">Snow</div>
+      <label className="theme-editor-field">
+        <span>Density</span>
+        <input type="range" min={0} max={1} step={0.05} value={draft.snow.density} onChange={(e) => updateSnow({ density: Number(e.target.value) })} />
+      </label>
+      <label className="theme-editor-field">
+        <span>Wind</span>
+        <input type="range" min={0} max={2} step={0.1} value={draft.snow.wind} onChange={(e) => updateSnow({ wind: Number(e.target.value) })} />
+      </label>
+      <label className="theme-editor-field">
+        <span>Settles on the ground</span>
+        <input type="checkbox" checked={draft.snow.settle} onChange={(e) => updateSnow({ settle: e.target.checked })} />
+      </label>
+
+      <div className="theme-editor-section">Music</div>
+      <select
+        className="theme-editor-select"
+        value={draft.music}
+        onChange={(e) => update({ music: e.target.value })}
+      >
+        {!MUSIC_TRACKS.some(t => t.url === draft.music) && <option value={draft.music}>{draft.music}</option>}
+        {MUSIC_TRACKS.map(track => (
+          <option key={track.file} value={track.url}>{track.name}</option>
+        ))}
+      </select>
+
+      <div className="theme-editor-actions">
+        <button className="elegant-btn" onClick={() => onSave(draft, draftId)}>💾 Save</button>
+        <button className="elegant-btn" onClick={handleExport}>⬇ Export</button>
+        <button className="elegant-btn" onClick={() => importInputRef.current?.click()}>⬆ Import</button>
+        {draftId && (
+          <button className="elegant-btn" onClick={() => onDelete(draftId)}>🗑️ Delete</button>
+        )}
+      </div>
+
+      <input
+        ref={importInputRef}
+        type="file"
+        accept="application/json,.json"
+        onChange={handleImport}
+        style={{ display: 'none' }}
+      />
+    </div>
+  )
+}
@@ -0,0 +1,116 @@
+/**
+ * Record Video panel - how long to record and an optional script of
+ * formation changes to play during the recording.
+ */
+
+import React, { useState } from 'react'
+import { getFormations } from '../formations'
+import { DEFAULT_SEQUENCE, sequenceSeconds, videoMimeType } from '../videoRecorder'
+
+const LENGTHS = [
+  { id: 'script', label: 'Length of the script' },
+  { id: '5', label: '5 seconds' },
+  { id: '10', label: '10 seconds' },
+  { id: '15', label: '15 seconds' },
+  { id: '30', label: '30 seconds' },
+  { id: '60', label: '1 minute' },
+  { id: 'manual', label: 'Until stopped' },
+]
+
+export default function VideoPanel({ onStart, onClose }) {
+  const formations = getFormations()
+  const supported = !!videoMimeType()
+  const [lengthId, setLengthId] = useState('script')
+  const [scripted, setScripted] = useState(true)
+  const [sequence, setSequence] = useState(DEFAULT_SEQUENCE)
+
+  const updateStep = (index, changes) => {
+    setSequence(sequence.map((step, i) => (i === index ? { ...step, ...changes } : step)))
+  }
+
+  const lengths = scripted ? LENGTHS : LENGTHS.filter(length => length.id !== 'script')
+  const length = lengths.find(l => l.id === lengthId) ? lengthId : lengths[0].id
+
+  const steps = scripted ? sequence.filter(step => step.seconds > 0) : []
+  // An empty script has no length to record for
+  const emptyScript = length === 'script' && steps.length === 0
+
+  const start = () => {
+    const duration = length === 'manual' ? null : length === 'script' ? sequenceSeconds(steps) : Number(length)
+    onStart({ duration, sequence: steps })
+  }
+
+  return (
+    <div className="theme-editor video-panel">
+      <div className="theme-editor-header">
+        <span className="photo-manager-title">🎬 Record Video</span>
+        <button className="theme-editor-close" onClick={onClose}>✖</button>
+      </div>
+
+      <label className="theme-editor-field">
+        <span>Length</span>
+        <select value={length} onChange={(e) => setLengthId(e.target.value)}>
+          {lengths.map(l => (
+            <option key={l.id} value={l.id}>
+              {l.id === 'script' ? `${l.label} (${sequenceSeconds(sequence)}s)` : l.label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label className="theme-editor-field">
+        <span>Change formations</span>
+        <input type="checkbox" checked={scripted} onChange={(e) => setScripted(e.target.checked)} />
+      </label>
+      {scripted && (
+        <>
+          {sequence.map((step, i) => (
+            <div key={i} className="theme-editor-field">
+              <select value={step.mode} onChange={(e) => updateStep(i, { mode: e.target.value })}>
+                {formations.map(f => (
+                  <option key={f.id} value={f.id}>{f.icon} {f.label}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                className="name-input video-panel-seconds"
+                min={1}
+                max={60}
+                value={step.seconds}
+                onChange={(e) => updateStep(i, { seconds: Math.max(0, Math.min(60, Number(e.target.value) || 0)) })}
+              />
+              <span>s</span>
+              <button
+                className="theme-editor-close"
+                title="Remove step"
+                onClick={() => setSequence(sequence.filter((_, j) => j !== i))}
+              >
+                ✖
+              </button>
+            </div>
+          ))}
+          <div className="theme-editor-actions">
+            <button
+              className="elegant-btn"
+              onClick={() => setSequence([...sequence, { mode: formations[0].id, seconds: 3 }])}
+            >
+              + Step
+            </button>
+            <button className="elegant-btn" onClick={() => setSequence(DEFAULT_SEQUENCE)}>↺ Default</button>
+          </div>
+        </>
+      )}
+
+      <div className="hint-text">
+        {!supported
+          ? 'Video recording is not supported in this browser - try Chrome, Edge or Firefox.'
+          : emptyScript
+            ? 'Add a step to the script, or pick a length.'
+            : 'Records the scene and the music as WebM after a 3 second countdown.'}
+      </div>
+      <div className="theme-editor-actions">
+        <button className="elegant-btn" disabled={!supported || emptyScript} onClick={start}>⏺ Start Recording</button>
+      </div>
+    </div>
+  )
+}
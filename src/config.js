@@ -0,0 +1,17 @@
+// Base URL for assets (handles GitHub Pages paths)
+export const BASE_URL = import.meta.env.BASE_URL || '/'
+
+// Configuration
+export const CONFIG = {
+  TREE_POINTS: 50000,
+  GROUND_POINTS: 4000,
+  STAR_POINTS: 1200,
+  HEART_POINTS: 1000,
+  MAX_PHOTOS: 100,
+  SNOW_POINTS: 6000, // Falling flakes at full density
+  SNOW_COVER_POINTS: 3000,
+  TREE_HEIGHT: 12.0,
+  CAM_DIST: 27,
+  CAM_HEIGHT: 5.0,
+  PITCH: -0.25,
+}
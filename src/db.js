@@ -0,0 +1,54 @@
+/**
+ * The app's IndexedDB database - one object store per kind of user file
+ * (photos, music tracks), each keyed by record id.
+ */
+
+const DB_NAME = 'christmasTree'
+const DB_VERSION = 2
+const STORES = ['photos', 'tracks'] // Version 1 only had photos
+
+let dbPromise = null
+
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'))
+        return
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        STORES.forEach((name) => {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: 'id' })
+        })
+      }
+      request.onsuccess = () => {
+        const db = request.result
+        // Let another tab upgrade the database
+        db.onversionchange = () => db.close()
+        resolve(db)
+      }
+      request.onerror = () => reject(request.error)
+      // Another tab still has the old version open - fail instead of waiting on it
+      request.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'))
+    })
+    // Allow a retry after a failed open
+    dbPromise.catch(() => { dbPromise = null })
+  }
+  return dbPromise
+}
+
+// Run fn(store) in a transaction on one store and resolve once it commits
+export async function withStore(name, mode, fn) {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode)
+    let result
+    const request = fn(tx.objectStore(name))
+    if (request) request.onsuccess = () => { result = request.result }
+    tx.oncomplete = () => resolve(result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
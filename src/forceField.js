@@ -0,0 +1,83 @@
+/**
+ * Hand force field - the tracked hand pushes particles away (or pulls them
+ * in), and they spring back to their formation positions.
+ *
+ * Each particle layer keeps an offset and a velocity per particle on top of
+ * its GPU-morphed position; the offsets are uploaded as a vertex attribute.
+ */
+
+export const FORCE_MODES = {
+  off: { icon: '🧲', label: 'Force Field OFF', sign: 0 },
+  repel: { icon: '🧲', label: 'Force Field: Repel', sign: 1 },
+  attract: { icon: '🧲', label: 'Force Field: Attract', sign: -1 },
+}
+
+export const FORCE_RADIUS = 3.0 // Reach of the hand, in scene units
+export const FORCE_STRENGTH = 60 // Push at the centre of the hand, before pinching
+
+const STIFFNESS = 18 // Spring back to the formation
+const DAMPING = 6
+const REST = 1e-3 // Offsets and speeds below this count as settled
+
+export function createForceFieldState(count) {
+  return {
+    offsets: new Float32Array(count * 3),
+    velocities: new Float32Array(count * 3),
+    moving: false,
+  }
+}
+
+/**
+ * Advance the simulation by delta seconds.
+ * base: the particles' current formation positions (x, y, z per particle)
+ * hand: { center: [x, y, z], radius, strength } in the layer's local space, or null
+ * Returns true while any particle is still displaced or moving.
+ */
+export function stepForceField(state, base, hand, delta) {
+  const { offsets, velocities } = state
+  // Large steps (e.g. after a hidden tab) would make the spring explode
+  const dt = Math.min(delta, 1 / 30)
+  const r2 = hand ? hand.radius * hand.radius : 0
+  let moving = false
+
+  for (let i = 0; i < offsets.length; i += 3) {
+    let fx = -STIFFNESS * offsets[i] - DAMPING * velocities[i]
+    let fy = -STIFFNESS * offsets[i + 1] - DAMPING * velocities[i + 1]
+    let fz = -STIFFNESS * offsets[i + 2] - DAMPING * velocities[i + 2]
+
+    if (hand) {
+      const dx = base[i] + offsets[i] - hand.center[0]
+      const dy = base[i + 1] + offsets[i + 1] - hand.center[1]
+      const dz = base[i + 2] + offsets[i + 2] - hand.center[2]
+      const d2 = dx * dx + dy * dy + dz * dz
+      if (d2 < r2 && d2 > 1e-8) {
+        const d = Math.sqrt(d2)
+        const falloff = 1 - d / hand.radius
+        const f = hand.strength * falloff * falloff / d
+        fx += dx * f
+        fy += dy * f
+        fz += dz * f
+      }
+    }
+
+    velocities[i] += fx * dt
+    velocities[i + 1] += fy * dt
+    velocities[i + 2] += fz * dt
+    offsets[i] += velocities[i] * dt
+    offsets[i + 1] += velocities[i + 1] * dt
+    offsets[i + 2] += velocities[i + 2] * dt
+
+    if (!moving && (Math.abs(offsets[i]) + Math.abs(offsets[i + 1]) + Math.abs(offsets[i + 2]) > REST ||
+        Math.abs(velocities[i]) + Math.abs(velocities[i + 1]) + Math.abs(velocities[i + 2]) > REST)) {
+      moving = true
+    }
+  }
+
+  // Snap the last tiny offsets to zero so the layer can stop simulating
+  if (!moving) {
+    offsets.fill(0)
+    velocities.fill(0)
+  }
+  state.moving = moving
+  return moving
+}
@@ -0,0 +1,410 @@
+/**
+ * Formation registry - every shape the particles can morph into.
+ *
+ * A formation is declared once and picked up by every particle layer, photo
+ * placement and rotation rule:
+ *
+ *   registerFormation('BELL', {
+ *     label: 'Bell',
+ *     icon: '🔔',
+ *     createSampler: (options, random) => (point) => [x, y, z] | null,
+ *     rotation: { autoSpeed: 0.15, settle: 2.0, pitch: false },
+ *     photo: { place: (random) => [x, y, z], placeAt: (height, turn) => [x, y, z], scale: 1.5 } | null,
+ *   })
+ *
+ * createSampler(options, random) is called once per particle layer and
+ * returns a function mapping a generated point ({ position, kind, ... }) to its
+ * target position. Use the seeded `random` instead of Math.random() so layouts
+ * can be reproduced. Returning null keeps the point at its tree position. Points carry
+ * a `kind` of 'spiral' | 'fill' (tree), 'ground' or 'star'.
+ *
+ * The point object is reused from one call to the next, so copy anything kept.
+ *
+ * Formations that depend on scene options (e.g. the greeting text) list the
+ * option keys they read in `options`, and are resampled when those change
+ * while the formation is showing. Every formation is sampled on a Web Worker,
+ * so only OffscreenCanvas, not the DOM, is available to it.
+ *
+ * photo.place(random) picks a random spot for a new photo; the optional
+ * photo.placeAt(height, turn), both in [0, 1], lets the photo manager place a
+ * photo by hand.
+ *
+ * Leaving createSampler out means the formation is the tree itself.
+ */
+
+import { CONFIG } from './config'
+
+export const DEFAULT_FORMATION = 'TREE'
+
+const formations = new Map()
+
+const DEFAULT_ROTATION = {
+  autoSpeed: 0.15, // Y rotation speed when no hand is detected
+  settle: 2.0, // How fast X rotation returns to 0 when no hand (null = keep)
+  pitch: false, // Whether hand up/down tilts the scene
+  faceFront: false, // Turn back to face the camera instead of spinning
+}
+
+export function registerFormation(id, definition) {
+  formations.set(id, {
+    id,
+    label: id,
+    icon: '',
+    createSampler: null,
+    options: [],
+    photo: null,
+    ...definition,
+    rotation: { ...DEFAULT_ROTATION, ...definition.rotation },
+  })
+}
+
+export function getFormation(id) {
+  return formations.get(id) || formations.get(DEFAULT_FORMATION)
+}
+
+export function getFormations() {
+  return Array.from(formations.values())
+}
+
+// Fill in photo positions for any formation the photo has not been placed in yet
+export function placePhoto(photo, random = Math.random) {
+  const positions = { ...photo.positions }
+  // Photos saved before the registry existed
+  if (!positions.TREE && photo.treePos) positions.TREE = photo.treePos
+  if (!positions.HEART && photo.heartPos) positions.HEART = photo.heartPos
+
+  formations.forEach((formation, id) => {
+    if (!positions[id] && formation.photo?.place) {
+      positions[id] = formation.photo.place(random)
+    }
+  })
+
+  return { ...photo, positions }
+}
+
+// Shared shape helpers
+function heartCurve(t, scale) {
+  return [
+    scale * 16 * Math.pow(Math.sin(t), 3),
+    scale * (13 * Math.cos(t) - 5 * Math.cos(2*t) - 2 * Math.cos(3*t) - Math.cos(4*t)),
+  ]
+}
+
+function galaxyArm(random, distFromCenter, spiralTightness, angleJitter, spread, thickness) {
+  const armIndex = Math.floor(random() * 2) // 2 spiral arms
+  const armAngleOffset = armIndex * Math.PI
+  const armAngle = armAngleOffset + spiralTightness * distFromCenter + (random() - 0.5) * angleJitter
+
+  return [
+    Math.cos(armAngle) * distFromCenter + (random() - 0.5) * spread,
+    -2 + (random() - 0.5) * thickness,
+    Math.sin(armAngle) * distFromCenter + (random() - 0.5) * spread
+  ]
+}
+
+function randomOnSphere(random, center, radius) {
+  const theta = random() * Math.PI * 2
+  const phi = Math.acos(2 * random() - 1)
+  return [
+    center[0] + radius * Math.sin(phi) * Math.cos(theta),
+    center[1] + radius * Math.cos(phi),
+    center[2] + radius * Math.sin(phi) * Math.sin(theta)
+  ]
+}
+
+// Rasterise text into a list of filled pixels. Canvas fonts fall back per
+// glyph, so CJK characters render through the system CJK fonts.
+const TEXT_FONT_SIZE = 96
+const TEXT_FONT = `bold ${TEXT_FONT_SIZE}px Georgia, "PingFang SC", "Hiragino Sans GB", "Microsoft YaHei", "Noto Sans CJK SC", sans-serif`
+const TEXT_MAX_LINE_WIDTH = TEXT_FONT_SIZE * 8
+
+function createTextCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height)
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  return canvas
+}
+
+// Greedy wrap - break at spaces when possible, anywhere for CJK or long words
+function wrapText(ctx, text) {
+  const lines = []
+  text.split('\n').forEach((paragraph) => {
+    let line = ''
+    for (const char of paragraph) {
+      const next = line + char
+      if (line && ctx.measureText(next).width > TEXT_MAX_LINE_WIDTH) {
+        const breakAt = line.lastIndexOf(' ')
+        if (breakAt > 0 && char !== ' ') {
+          lines.push(line.slice(0, breakAt))
+          line = line.slice(breakAt + 1) + char
+        } else {
+          lines.push(line)
+          line = char === ' ' ? '' : char
+        }
+      } else {
+        line = next
+      }
+    }
+    lines.push(line)
+  })
+  return lines.map(l => l.trim()).filter(Boolean)
+}
+
+function rasterizeText(text) {
+  const measure = createTextCanvas(1, 1).getContext('2d')
+  measure.font = TEXT_FONT
+  const lines = wrapText(measure, text)
+  if (lines.length === 0) return null
+
+  const lineHeight = TEXT_FONT_SIZE * 1.25
+  const width = Math.ceil(Math.max(...lines.map(l => measure.measureText(l).width))) + 8
+  const height = Math.ceil(lineHeight * lines.length) + 8
+
+  const canvas = createTextCanvas(width, height)
+  const ctx = canvas.getContext('2d')
+  ctx.font = TEXT_FONT
+  ctx.fillStyle = '#fff'
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+  lines.forEach((line, i) => ctx.fillText(line, width / 2, 4 + lineHeight * (i + 0.5)))
+
+  // Every other pixel is plenty to sample from
+  const { data } = ctx.getImageData(0, 0, width, height)
+  const pixels = []
+  for (let y = 0; y < height; y += 2) {
+    for (let x = 0; x < width; x += 2) {
+      if (data[(y * width + x) * 4 + 3] > 128) pixels.push(x, y)
+    }
+  }
+
+  return pixels.length > 0 ? { pixels, width, height } : null
+}
+
+// Photos hanging in a loose ring around a shape
+function ringPhotoPlacement(minY, maxY, radius) {
+  const placeAt = (height, turn, r = radius + 0.75) => {
+    const angle = turn * Math.PI * 2
+    return [Math.cos(angle) * r, minY + height * (maxY - minY), Math.sin(angle) * r]
+  }
+  return {
+    place: (random) => placeAt(random(), random(), radius + random() * 1.5),
+    placeAt: (height, turn) => placeAt(height, turn),
+  }
+}
+
+// Photo ornament on the outer edge of the tree spiral at spiral parameter u
+function treePhotoPosition(u, angle) {
+  const h = Math.pow(u, 1.6)
+  const y = CONFIG.TREE_HEIGHT * h + 0.2 // Don't subtract 5.5, Scene group already has offset
+
+  // Calculate base radius with branch waves
+  let baseR = Math.pow(1 - h, 1.1) * 3.2
+  const branchWave = Math.max(0, Math.sin((h * 5.8 + 0.15) * Math.PI * 2))
+  const branchFactor = 1.0 + 0.65 * branchWave
+  baseR *= branchFactor
+
+  // Position at outer edge of spiral
+  const r = baseR * 1.08
+  return [Math.cos(angle) * r, y, Math.sin(angle) * r]
+}
+
+// Tree - particles stay at their generated positions
+registerFormation('TREE', {
+  label: 'Tree',
+  icon: '🎄',
+  rotation: { autoSpeed: 0.15, settle: 2.0 },
+  photo: {
+    scale: 1.0,
+    // Position on spiral - random distribution with angle offset
+    place(random) {
+      const loops = 9
+      const u = 0.15 + random() * 0.75 // Random between 0.15 to 0.90
+
+      // Follow spiral angle with extra random offset to spread out
+      const t = u * loops * Math.PI * 2
+      const angle = t + (random() - 0.5) * Math.PI * 1.5 // Add ±135° random offset
+      return treePhotoPosition(u, angle)
+    },
+    placeAt: (height, turn) => treePhotoPosition(0.15 + height * 0.75, turn * Math.PI * 2),
+    // Slight sway
+    animate(mesh, time, i) {
+      mesh.rotation.z = Math.sin(time * 0.5 + i) * 0.1
+    },
+  },
+})
+
+// Galaxy - tight spiral arms, photos hidden
+registerFormation('SCATTER', {
+  label: 'Galaxy',
+  icon: '🌌',
+  rotation: { autoSpeed: 0.05, settle: null, pitch: true },
+  createSampler: (options, random) => (point) => {
+    if (point.kind === 'spiral') {
+      return galaxyArm(random, 2 + random() * 12, 0.5, 0.4, 1.0, 0.4)
+    }
+    if (point.kind === 'fill') {
+      // Weight distribution towards center - more points in inner region
+      const distFromCenter = random() < 0.5 ? 0.3 + random() * 3 : 3 + random() * 8
+      return galaxyArm(random, distFromCenter, 2.5, 0.1, 0.15, 0.12)
+    }
+    if (point.kind === 'ground') {
+      // 85% in a bright dense core, the rest in tight arms extending from it
+      if (random() < 0.85) {
+        const rCore = random() * random() * 2.0
+        const thetaCore = random() * Math.PI * 2
+        return [Math.cos(thetaCore) * rCore, -2 + (random() - 0.5) * 0.2, Math.sin(thetaCore) * rCore]
+      }
+      return galaxyArm(random, 1.5 + random() * 9, 2.3, 0.1, 0.2, 0.15)
+    }
+    // Keep stars in place during scatter mode
+    return null
+  },
+})
+
+// Heart - big heart above the tree, stars gather into small hearts
+registerFormation('HEART', {
+  label: 'Heart',
+  icon: '❤️',
+  rotation: { autoSpeed: 0.1, settle: 1.5 },
+  createSampler: (options, random) => {
+    const smallHearts = new Map()
+
+    return (point) => {
+      if (point.kind === 'fill' || point.kind === 'ground') {
+        const [heartX, heartY] = heartCurve(random() * Math.PI * 2, 3.0)
+        const heartZ = (random() - 0.5) * 2.0
+        return [heartX / 16, heartY / 16 + 12, heartZ] // +12 to elevate higher, stars inside heart
+      }
+      if (point.kind === 'star') {
+        // Each group of star particles outlines one small heart
+        if (!smallHearts.has(point.group)) {
+          smallHearts.set(point.group, {
+            center: [(random() - 0.5) * 30, 5 + random() * 10, (random() - 0.5) * 30],
+            scale: 0.5 + random() * 0.5,
+          })
+        }
+        const { center, scale } = smallHearts.get(point.group)
+        const [heartX, heartY] = heartCurve(point.slot * Math.PI * 2, scale)
+        return [heartX / 16 + center[0], heartY / 16 + center[1], center[2]]
+      }
+      // Spiral lights stay on the tree
+      return null
+    }
+  },
+  photo: {
+    scale: 6.0,
+    // Scattered in outer space, far from center
+    place(random) {
+      const radius = 8 + random() * 5 // 8-13 units from center
+      return randomOnSphere(random, [0, 10, 0], radius) // Elevated around +10
+    },
+    placeAt(height, turn) {
+      const radius = 10.5
+      const phi = (1 - height) * Math.PI
+      const theta = turn * Math.PI * 2
+      return [
+        radius * Math.sin(phi) * Math.cos(theta),
+        10 + radius * Math.cos(phi),
+        radius * Math.sin(phi) * Math.sin(theta)
+      ]
+    },
+    // Bob up and down with a gentle side-to-side drift
+    animate(mesh, time, i) {
+      mesh.position.y += Math.sin(time * 1.5 + i * 0.8) * 0.03
+      mesh.position.x += Math.cos(time * 0.8 + i * 0.6) * 0.02
+      mesh.position.z += Math.sin(time * 0.6 + i * 0.4) * 0.02
+    },
+  },
+})
+
+// Snowman - three stacked snowballs, ground rings stay as snow
+registerFormation('SNOWMAN', {
+  label: 'Snowman',
+  icon: '⛄',
+  createSampler: (options, random) => {
+    const balls = [
+      { center: [0, 2.6, 0], radius: 2.8 },
+      { center: [0, 6.9, 0], radius: 2.0 },
+      { center: [0, 9.9, 0], radius: 1.3 },
+    ]
+    const totalArea = balls.reduce((sum, b) => sum + b.radius * b.radius, 0)
+
+    return (point) => {
+      if (point.kind !== 'spiral' && point.kind !== 'fill') return null
+
+      // Pick a ball weighted by surface area so density stays even
+      let pick = random() * totalArea
+      const ball = balls.find(b => (pick -= b.radius * b.radius) <= 0) || balls[0]
+      return randomOnSphere(random, ball.center, ball.radius * (0.94 + random() * 0.06))
+    }
+  },
+  photo: { scale: 1.5, ...ringPhotoPlacement(1.5, 10, 3.5) },
+})
+
+// Present box - cube with a ribbon cross and a bow on top
+registerFormation('GIFT', {
+  label: 'Present',
+  icon: '🎁',
+  createSampler: (options, random) => {
+    const half = 3.2
+    const centerY = half + 0.2
+
+    return (point) => {
+      if (point.kind !== 'spiral' && point.kind !== 'fill') return null
+
+      const roll = random()
+      if (roll < 0.12) {
+        // Bow - two loops above the lid
+        const t = random() * Math.PI * 2
+        const side = random() < 0.5 ? -1 : 1
+        return [side * (1 + Math.cos(t)) * 1.1, centerY + half + 0.6 + Math.sin(t) * 0.6, (random() - 0.5) * 0.3]
+      }
+
+      // Point on a random face of the cube
+      const axis = Math.floor(random() * 3)
+      const sign = random() < 0.5 ? -1 : 1
+      const pos = [(random() * 2 - 1) * half, (random() * 2 - 1) * half, (random() * 2 - 1) * half]
+      pos[axis] = sign * half
+
+      // Ribbon - squeeze some points onto the bands crossing each face
+      if (roll < 0.3) {
+        const band = axis === 0 ? 2 : 0
+        pos[band] = (random() - 0.5) * 0.5
+      }
+
+      return [pos[0], pos[1] + centerY, pos[2]]
+    }
+  },
+  photo: { scale: 1.5, ...ringPhotoPlacement(1, 8, 4.8) },
+})
+
+// Text - tree and ground particles spell out the greeting name or message
+registerFormation('TEXT', {
+  label: 'Greeting',
+  icon: '✨',
+  options: ['text'],
+  rotation: { autoSpeed: 0, settle: 2.0, faceFront: true },
+  createSampler: ({ text }, random) => {
+    const raster = rasterizeText((text || 'Merry Christmas').trim())
+    if (!raster) return () => null
+
+    const { pixels, width, height } = raster
+    // Fit within 20 x 9 units, centred on the tree's middle
+    const scale = Math.min(20 / width, 9 / height)
+    const centerY = CONFIG.TREE_HEIGHT * 0.5
+
+    return (point) => {
+      if (point.kind === 'star') return null
+
+      const idx = Math.floor(random() * (pixels.length / 2)) * 2
+      const px = pixels[idx] + random() * 2
+      const py = pixels[idx + 1] + random() * 2
+      return [
+        (px - width / 2) * scale,
+        centerY - (py - height / 2) * scale,
+        (random() - 0.5) * 0.4
+      ]
+    }
+  },
+})
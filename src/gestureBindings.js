@@ -0,0 +1,89 @@
+/**
+ * Which action each hand gesture triggers. Bindings are saved in localStorage
+ * as { [gesture id]: action id }.
+ *
+ * Action ids are either 'MODE:<formation id>' (switch formation) or one of
+ * APP_ACTIONS - the component running the show supplies the handlers.
+ */
+
+import { getFormations } from './formations'
+import { GESTURES } from './gestures'
+
+export const NO_ACTION = 'NONE'
+
+export const APP_ACTIONS = {
+  NEXT_THEME: '🎨 Next theme',
+  PREVIOUS_THEME: '🎨 Previous theme',
+  TOGGLE_MUSIC: '🔊 Toggle music',
+  NEXT_TRACK: '⏭ Next track',
+  PREVIOUS_TRACK: '⏮ Previous track',
+  EXPAND_NEXT_PHOTO: '🔍 Expand next photo',
+  NEXT_PHOTO: '🖼️ Show next photo',
+  PREVIOUS_PHOTO: '🖼️ Show previous photo',
+  SHRINK_ALL: '✖ Shrink all photos',
+  TOGGLE_UI: '👁️ Show / hide UI',
+  TOGGLE_FULLSCREEN: '⛶ Toggle fullscreen',
+  CYCLE_FORCE_FIELD: '🧲 Force field off / repel / attract',
+}
+
+export const DEFAULT_BINDINGS = {
+  FIST: 'MODE:TREE',
+  OPEN: 'MODE:SCATTER',
+  PINCH: 'MODE:HEART',
+  TWO_FINGER_PINCH: 'SHRINK_ALL',
+  THUMBS_UP: 'TOGGLE_MUSIC',
+  PEACE: 'EXPAND_NEXT_PHOTO',
+  POINT: NO_ACTION,
+  SWIPE_LEFT: 'PREVIOUS_THEME',
+  SWIPE_RIGHT: 'NEXT_THEME',
+}
+
+const BINDINGS_KEY = 'christmasGestureBindings'
+
+export const modeAction = (formationId) => `MODE:${formationId}`
+
+// Every bindable action as [{ id, label }], formations first
+export function getGestureActions() {
+  return [
+    { id: NO_ACTION, label: '— Nothing —' },
+    ...getFormations().map(f => ({ id: modeAction(f.id), label: `${f.icon} ${f.label} mode` })),
+    ...Object.entries(APP_ACTIONS).map(([id, label]) => ({ id, label })),
+  ]
+}
+
+export function loadBindings() {
+  const actionIds = new Set(getGestureActions().map(action => action.id))
+  try {
+    const saved = JSON.parse(localStorage.getItem(BINDINGS_KEY) || '{}')
+    const bindings = { ...DEFAULT_BINDINGS }
+    // Ignore unknown gestures and actions (e.g. a formation that was removed)
+    Object.entries(saved).forEach(([gesture, action]) => {
+      if (GESTURES[gesture] && actionIds.has(action)) bindings[gesture] = action
+    })
+    return bindings
+  } catch (err) {
+    console.error('Failed to load gesture bindings:', err)
+    return { ...DEFAULT_BINDINGS }
+  }
+}
+
+export function saveBindings(bindings) {
+  try {
+    localStorage.setItem(BINDINGS_KEY, JSON.stringify(bindings))
+  } catch (err) {
+    console.error('Failed to save gesture bindings:', err)
+  }
+}
+
+// With two hands in view, the mode hand triggers the bindings and the other steers
+const MODE_HAND_KEY = 'christmasModeHand'
+
+export const HANDS = ['Left', 'Right']
+
+export function loadModeHand() {
+  return localStorage.getItem(MODE_HAND_KEY) === 'Left' ? 'Left' : 'Right'
+}
+
+export function saveModeHand(hand) {
+  localStorage.setItem(MODE_HAND_KEY, hand)
+}
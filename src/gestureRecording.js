@@ -0,0 +1,116 @@
+/**
+ * Record hand-tracking sessions and play them back without a camera.
+ *
+ * A recording holds the raw HandLandmarker results with timestamps, so a
+ * replay goes through exactly the same gesture pipeline as a live webcam:
+ *
+ *   { version: 1, createdAt, frames: [{ t: ms since start, landmarks, handedness }] }
+ *
+ * Kiosk demos and camera-less test machines can load one on start-up with
+ * ?replay=<url> (add &loop to repeat it).
+ */
+
+const RECORDING_VERSION = 1
+
+const round = (v) => Math.round(v * 10000) / 10000
+
+export function createGestureRecorder() {
+  let frames = null
+  let startTime = 0
+
+  return {
+    get active() {
+      return frames !== null
+    },
+
+    start(time = performance.now()) {
+      frames = []
+      startTime = time
+    },
+
+    // result: a HandLandmarker result; ignored while not recording
+    record(time, result) {
+      if (!frames) return
+      frames.push({
+        t: Math.round(time - startTime),
+        landmarks: (result.landmarks || []).map(hand => hand.map(({ x, y, z }) => ({ x: round(x), y: round(y), z: round(z) }))),
+        handedness: (result.handedness || []).map(hand => hand.map(({ categoryName, score }) => ({ categoryName, score: round(score) }))),
+      })
+    },
+
+    // Returns the finished recording
+    stop() {
+      const recording = { version: RECORDING_VERSION, createdAt: new Date().toISOString(), frames: frames || [] }
+      frames = null
+      return recording
+    },
+  }
+}
+
+// Validate a recording (e.g. a loaded JSON file); throws with a readable message
+export function parseRecording(data) {
+  if (!data || data.version !== RECORDING_VERSION || !Array.isArray(data.frames)) {
+    throw new Error('Not a gesture recording')
+  }
+  const valid = data.frames.every(frame =>
+    Number.isFinite(frame.t) && Array.isArray(frame.landmarks) &&
+    frame.landmarks.every(hand => Array.isArray(hand) && hand.length === 21)
+  )
+  if (!valid || data.frames.length === 0) throw new Error('Recording has no usable frames')
+  return data
+}
+
+export async function loadRecording(url) {
+  const response = await fetch(url)
+  if (!response.ok) throw new Error(`Failed to load ${url} (${response.status})`)
+  return parseRecording(await response.json())
+}
+
+/**
+ * Feed a recording's frames to onFrame(result, time) in real time.
+ * Returns { stop() }; onEnd is called when a non-looping replay finishes.
+ */
+export function playRecording(recording, onFrame, { loop = false, onEnd } = {}) {
+  const { frames } = recording
+  let start = performance.now()
+  let next = 0
+  let animationId = null
+
+  const step = () => {
+    const now = performance.now()
+    while (next < frames.length && frames[next].t <= now - start) {
+      const frame = frames[next]
+      onFrame({ landmarks: frame.landmarks, handedness: frame.handedness || [] }, start + frame.t)
+      next++
+    }
+
+    if (next >= frames.length) {
+      if (!loop) {
+        animationId = null
+        onEnd?.()
+        return
+      }
+      start = now
+      next = 0
+    }
+    animationId = requestAnimationFrame(step)
+  }
+  animationId = requestAnimationFrame(step)
+
+  return {
+    stop() {
+      if (animationId !== null) cancelAnimationFrame(animationId)
+      animationId = null
+    },
+  }
+}
+
+export function downloadRecording(recording) {
+  const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = `gestures-${recording.createdAt.slice(0, 19).replace(/[:T]/g, '-')}.json`
+  link.click()
+  URL.revokeObjectURL(url)
+}
@@ -0,0 +1,326 @@
+/**
+ * Hand gesture classification from MediaPipe's 21 hand landmarks.
+ *
+ * Distances are divided by the palm size, so a gesture reads the same near
+ * or far from the camera. Features are smoothed over time, each pose gets
+ * a confidence in [0, 1], and a new pose only takes over after it has been
+ * held for a moment (hysteresis + debouncing), so modes don't flicker at the
+ * thresholds. Swipes are one-off events read from the hand's movement.
+ *
+ *   const classifier = createGestureClassifier(loadCalibration())
+ *   classifier.update(landmarks, performance.now())
+ *   // -> { gesture: pose id | null, event: 'SWIPE_LEFT' | 'SWIPE_RIGHT' | null,
+ *   //      confidence, confidences, features }
+ *
+ * The thresholds come from a calibration - a user's own fist, open hand and
+ * pinch values - saved in localStorage.
+ */
+
+// Landmark indices
+const WRIST = 0
+const THUMB_TIP = 4
+const INDEX_MCP = 5
+const INDEX_TIP = 8
+const MIDDLE_MCP = 9
+const MIDDLE_TIP = 12
+const RING_MCP = 13
+const RING_TIP = 16
+const PINKY_MCP = 17
+const PINKY_TIP = 20
+
+// Poses are held, swipes fire once. Listed from most to least specific -
+// the first one wins a tie.
+export const GESTURES = {
+  TWO_FINGER_PINCH: { icon: '👌', label: 'Two-finger pinch', kind: 'pose' },
+  PINCH: { icon: '🤏', label: 'Pinch', kind: 'pose' },
+  THUMBS_UP: { icon: '👍', label: 'Thumbs up', kind: 'pose' },
+  PEACE: { icon: '✌️', label: 'Peace sign', kind: 'pose' },
+  POINT: { icon: '☝️', label: 'Pointing', kind: 'pose' },
+  FIST: { icon: '✊', label: 'Fist', kind: 'pose' },
+  OPEN: { icon: '✋', label: 'Open hand', kind: 'pose' },
+  SWIPE_LEFT: { icon: '👈', label: 'Swipe left', kind: 'swipe' },
+  SWIPE_RIGHT: { icon: '👉', label: 'Swipe right', kind: 'swipe' },
+}
+
+// Feature values of a typical hand, in palm sizes
+export const DEFAULT_CALIBRATION = {
+  fist: 0.9, // fingertip-to-wrist distance with a closed fist
+  open: 1.9, // fingertip-to-wrist distance with the hand spread
+  pinch: 0.15, // thumb-to-index distance when pinching
+}
+
+const CALIBRATION_KEY = 'christmasGestureCalibration'
+
+const SMOOTHING = 0.35 // Weight of the newest frame in the feature average
+const ENTER_CONFIDENCE = 0.6 // A gesture needs this much to start taking over...
+const EXIT_CONFIDENCE = 0.3 // ...and the current one keeps going until it drops below this
+const HOLD_MS = 200 // How long a new gesture must hold before it wins
+const PINCH_RANGE = 3 // Pinch confidence fades out at this many times the calibrated distance
+const LOST_MS = 600 // Keep the last gesture through short tracking drop-outs
+const SWIPE_MS = 350 // A swipe must cover...
+const SWIPE_DISTANCE = 2.5 // ...this many palm sizes sideways within that time
+const SWIPE_COOLDOWN_MS = 700
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y)
+const clamp01 = (v) => Math.min(1, Math.max(0, v))
+
+// Distance-independent hand measurements
+export function measureHand(landmarks) {
+  const wrist = landmarks[WRIST]
+  // Wrist to middle knuckle and across the knuckles - stays steady when fingers curl
+  const palm = (distance(wrist, landmarks[MIDDLE_MCP]) + distance(landmarks[INDEX_MCP], landmarks[PINKY_MCP])) / 2 || 1e-6
+
+  const tips = [INDEX_TIP, MIDDLE_TIP, RING_TIP, PINKY_TIP]
+  const openness = tips.reduce((sum, tip) => sum + distance(landmarks[tip], wrist), 0) / tips.length / palm
+
+  // How far a fingertip reaches past its knuckle: ~1 curled, ~2 straight
+  const reach = (tip, mcp) => distance(landmarks[tip], wrist) / (distance(landmarks[mcp], wrist) || 1e-6)
+  const thumb = landmarks[THUMB_TIP]
+
+  return {
+    palm,
+    openness,
+    pinch: distance(thumb, landmarks[INDEX_TIP]) / palm,
+    pinchMiddle: distance(thumb, landmarks[MIDDLE_TIP]) / palm,
+    index: reach(INDEX_TIP, INDEX_MCP),
+    middle: reach(MIDDLE_TIP, MIDDLE_MCP),
+    ring: reach(RING_TIP, RING_MCP),
+    pinky: reach(PINKY_TIP, PINKY_MCP),
+    thumbOut: distance(thumb, landmarks[INDEX_MCP]) / palm,
+    // Image y grows downwards, so positive means the thumb is above the knuckles
+    thumbRise: (landmarks[INDEX_MCP].y - thumb.y) / palm,
+  }
+}
+
+// Confidence for each gesture from the (smoothed) features
+export function scoreGestures(features, calibration = DEFAULT_CALIBRATION) {
+  const { fist, open, pinch } = calibration
+  const mid = (fist + open) / 2
+  const halfSpan = Math.max((open - fist) / 2, 1e-6)
+
+  // Full confidence at the calibrated pinch, none at PINCH_RANGE times that distance
+  const pinched = (value) => clamp01(1 - (value - pinch) / (pinch * (PINCH_RANGE - 1)))
+  const extended = (reach) => clamp01((reach - 1.2) / 0.5)
+  const curled = (reach) => 1 - extended(reach)
+  const index = extended(features.index)
+  const middle = extended(features.middle)
+  const othersCurled = Math.min(curled(features.ring), curled(features.pinky))
+  const thumbUp = Math.min(clamp01((features.thumbOut - 0.5) / 0.3), clamp01((features.thumbRise - 0.3) / 0.4))
+  const closed = clamp01((mid - features.openness) / halfSpan)
+
+  const pinchIndex = pinched(features.pinch)
+  const pinchBoth = Math.min(pinchIndex, pinched(features.pinchMiddle))
+
+  // A thumb touching the fingertips rules out the poses that show those fingers
+  return {
+    TWO_FINGER_PINCH: pinchBoth,
+    PINCH: Math.min(pinchIndex, 1 - pinchBoth),
+    THUMBS_UP: Math.min(thumbUp, 1 - index, 1 - middle, othersCurled),
+    PEACE: Math.min(index, middle, othersCurled, 1 - pinchBoth),
+    POINT: Math.min(index, 1 - middle, othersCurled, 1 - pinchIndex),
+    FIST: Math.min(closed, 1 - thumbUp),
+    OPEN: Math.min(clamp01((features.openness - mid) / halfSpan), 1 - pinchIndex),
+  }
+}
+
+export function createGestureClassifier(initialCalibration = DEFAULT_CALIBRATION) {
+  let calibration = initialCalibration
+  let features = null
+  let current = null
+  let candidate = null
+  let candidateSince = 0
+  let lastSeen = -Infinity
+  let track = [] // Recent { time, x } of the hand, for swipes
+  let swipeBlockedUntil = 0
+
+  const result = (confidences, event = null) => ({
+    gesture: current,
+    event,
+    confidence: current && confidences ? confidences[current] : 0,
+    confidences,
+    features,
+  })
+
+  return {
+    setCalibration(next) {
+      calibration = next
+    },
+
+    reset() {
+      features = null
+      current = null
+      candidate = null
+      track = []
+    },
+
+    // landmarks: one hand's landmarks, or null when no hand is visible
+    update(landmarks, time) {
+      if (!landmarks) {
+        if (time - lastSeen > LOST_MS) {
+          features = null
+          current = null
+          candidate = null
+        }
+        track = []
+        return result(null)
+      }
+      lastSeen = time
+
+      const measured = measureHand(landmarks)
+      if (!features) {
+        // A hand just appeared - start the average here, but don't act on one raw frame
+        features = measured
+        return result(scoreGestures(features, calibration), detectSwipe(landmarks[MIDDLE_MCP].x, time))
+      }
+      features = Object.fromEntries(Object.keys(measured).map(key => [key, features[key] + (measured[key] - features[key]) * SMOOTHING]))
+
+      const confidences = scoreGestures(features, calibration)
+      const best = Object.keys(confidences).reduce((a, b) => (confidences[b] > confidences[a] ? b : a))
+
+      if (best === current || confidences[best] < ENTER_CONFIDENCE) {
+        candidate = null
+      } else if (best !== candidate) {
+        candidate = best
+        candidateSince = time
+      }
+
+      // Take over once held long enough - longer while the current gesture is still showing
+      const hold = current && confidences[current] >= EXIT_CONFIDENCE ? HOLD_MS * 2 : HOLD_MS
+      if (candidate && time - candidateSince >= hold) {
+        current = candidate
+        candidate = null
+      }
+
+      return result(confidences, detectSwipe(landmarks[MIDDLE_MCP].x, time))
+    },
+  }
+
+  function detectSwipe(x, time) {
+    track.push({ time, x })
+    track = track.filter(sample => time - sample.time <= SWIPE_MS)
+    if (time < swipeBlockedUntil) return null
+
+    const dx = (x - track[0].x) / features.palm
+    if (Math.abs(dx) < SWIPE_DISTANCE) return null
+
+    track = []
+    swipeBlockedUntil = time + SWIPE_COOLDOWN_MS
+    // The preview is mirrored, so moving right (as the user sees it) lowers x
+    return dx < 0 ? 'SWIPE_RIGHT' : 'SWIPE_LEFT'
+  }
+}
+
+// Calibration - each step records the hand's features for a couple of seconds
+// and calibrates one of them
+export const CALIBRATION_STEPS = [
+  { gesture: 'FIST', feature: 'openness', key: 'fist', prompt: '✊ Make a fist' },
+  { gesture: 'OPEN', feature: 'openness', key: 'open', prompt: '✋ Spread your hand wide' },
+  { gesture: 'PINCH', feature: 'pinch', key: 'pinch', prompt: '🤏 Pinch thumb and index finger' },
+]
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b)
+  return sorted[Math.floor(sorted.length / 2)]
+}
+
+const medianOf = (recorded, feature) => median(recorded.map(features => features[feature]))
+
+// Turn the features recorded per step into a calibration; throws when they don't make sense
+export function buildCalibration(samples) {
+  const calibration = {}
+  CALIBRATION_STEPS.forEach(step => {
+    const recorded = samples[step.key] || []
+    if (recorded.length < 5) throw new Error(`Not enough samples for "${step.prompt}" - keep your hand in view`)
+    calibration[step.key] = medianOf(recorded, step.feature)
+  })
+
+  // Each threshold is checked against the same feature in another pose
+  if (calibration.open - calibration.fist < 0.3) {
+    throw new Error('Fist and open hand looked too similar')
+  }
+  // The open hand's thumb and index must be out of pinch range
+  if (calibration.pinch * PINCH_RANGE > medianOf(samples.open, 'pinch')) {
+    throw new Error('Pinch was not detected - touch thumb and index fingertips')
+  }
+  return calibration
+}
+
+function isCalibration(value) {
+  return !!value && ['fist', 'open', 'pinch'].every(key => Number.isFinite(value[key]) && value[key] > 0)
+}
+
+export function loadCalibration() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CALIBRATION_KEY))
+    return isCalibration(saved) ? saved : DEFAULT_CALIBRATION
+  } catch {
+    return DEFAULT_CALIBRATION
+  }
+}
+
+export function saveCalibration(calibration) {
+  if (calibration) {
+    localStorage.setItem(CALIBRATION_KEY, JSON.stringify(calibration))
+  } else {
+    localStorage.removeItem(CALIBRATION_KEY)
+  }
+}
+
+// Two-hand manipulation - spreading or closing both hands zooms, turning them
+// like a steering wheel twists. Reports the change since the previous frame.
+const TWO_HAND_DEAD_ZONE = 0.002
+
+export function createTwoHandTracker() {
+  let span = null
+  let angle = null
+
+  return {
+    // left, right: landmarks of each hand, or null when the gesture ends
+    update(left, right) {
+      if (!left || !right) {
+        span = null
+        return { zoom: 1, twist: 0 }
+      }
+
+      const a = left[MIDDLE_MCP]
+      const b = right[MIDDLE_MCP]
+      const measuredSpan = distance(a, b)
+      const measuredAngle = Math.atan2(b.y - a.y, b.x - a.x)
+      if (span === null) {
+        span = measuredSpan
+        angle = measuredAngle
+        return { zoom: 1, twist: 0 }
+      }
+
+      // Smooth like the single-hand features; the angle wraps at ±π
+      const nextSpan = span + (measuredSpan - span) * SMOOTHING
+      let turn = measuredAngle - angle
+      turn = Math.atan2(Math.sin(turn), Math.cos(turn)) * SMOOTHING
+
+      const zoom = span / nextSpan
+      span = nextSpan
+      angle += turn
+
+      return {
+        zoom: Math.abs(zoom - 1) < TWO_HAND_DEAD_ZONE ? 1 : zoom,
+        twist: Math.abs(turn) < TWO_HAND_DEAD_ZONE ? 0 : turn,
+      }
+    },
+  }
+}
+
+// Sort a HandLandmarker result into { Left, Right } landmarks (null when not
+// visible), as the user's own left and right hands
+export function splitHands(result) {
+  const hands = { Left: null, Right: null }
+  result.landmarks?.forEach((landmarks, i) => {
+    // MediaPipe labels hands as if the image were mirrored (selfie camera);
+    // webcam frames reach us unmirrored, so the labels are swapped
+    const label = result.handedness?.[i]?.[0]?.categoryName
+    let side = label === 'Left' ? 'Right' : 'Left'
+    // Both hands given the same label - trust that there are two hands
+    if (hands[side]) side = side === 'Left' ? 'Right' : 'Left'
+    hands[side] = landmarks
+  })
+  return hands
+}
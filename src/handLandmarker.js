@@ -0,0 +1,97 @@
+/**
+ * MediaPipe hand landmarker, loaded from files shipped with the app so
+ * gesture control also works offline (e.g. the packaged Electron app).
+ *
+ * The WASM runtime is copied from node_modules into mediapipe/wasm/ by the
+ * Vite config, and scripts/fetch-hand-model.mjs puts the model into
+ * public/mediapipe/ before each build. When a bundled file can't be loaded
+ * the CDN copy is tried instead.
+ *
+ * A custom model can be used with ?handModel=<url> in the page URL or the
+ * VITE_HAND_MODEL_URL build variable.
+ */
+
+import { FilesetResolver, HandLandmarker } from '@mediapipe/tasks-vision'
+import { BASE_URL } from './config'
+
+const LOCAL_WASM = `${BASE_URL}mediapipe/wasm`
+const LOCAL_MODEL = `${BASE_URL}mediapipe/hand_landmarker.task`
+// Same version as the installed package, so the JS API and the runtime match
+const CDN_WASM = `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${__MEDIAPIPE_VERSION__}/wasm`
+const CDN_MODEL = 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task'
+
+function customModelUrl() {
+  const param = new URLSearchParams(window.location.search).get('handModel')
+  return param || import.meta.env.VITE_HAND_MODEL_URL || null
+}
+
+// XHR rather than fetch: Chromium's fetch refuses file:// URLs, which is how Electron loads the app
+function loadBinary(url) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest()
+    xhr.open('GET', url)
+    xhr.responseType = 'arraybuffer'
+    xhr.onload = () => {
+      // file:// requests report status 0
+      if ((xhr.status === 200 || xhr.status === 0) && xhr.response?.byteLength) {
+        resolve(new Uint8Array(xhr.response))
+      } else {
+        reject(new Error(`Failed to load ${url} (${xhr.status})`))
+      }
+    }
+    xhr.onerror = () => reject(new Error(`Failed to load ${url}`))
+    xhr.send()
+  })
+}
+
+// Try each candidate URL in turn; resolves with { value, url } of the first that loads
+async function firstAvailable(urls, load) {
+  const errors = []
+  for (const url of urls) {
+    try {
+      return { value: await load(url), url }
+    } catch (err) {
+      console.warn(`Hand tracking asset unavailable: ${url}`, err)
+      errors.push(err.message)
+    }
+  }
+  throw new Error(errors.join('; '))
+}
+
+/**
+ * Resolves with { landmarker, offline } - offline is true when everything came
+ * from the bundled files. Rejects when neither the bundled files nor the CDN
+ * could be loaded.
+ */
+export async function createHandLandmarker({ numHands = 1 } = {}) {
+  const custom = customModelUrl()
+  const modelUrls = custom ? [custom] : [LOCAL_MODEL, CDN_MODEL]
+
+  const model = await firstAvailable(modelUrls, loadBinary)
+  // The runtime is only fetched when the landmarker is created, so try both steps per location
+  const wasm = await firstAvailable([LOCAL_WASM, CDN_WASM], async (base) => {
+    const fileset = await FilesetResolver.forVisionTasks(base)
+    return createWithDelegate(fileset, model.value, numHands)
+  })
+
+  return {
+    landmarker: wasm.value,
+    offline: model.url !== CDN_MODEL && wasm.url === LOCAL_WASM,
+  }
+}
+
+// The GPU delegate isn't available everywhere (e.g. some VMs); fall back to CPU
+async function createWithDelegate(fileset, modelAssetBuffer, numHands) {
+  const create = (delegate) => HandLandmarker.createFromOptions(fileset, {
+    baseOptions: { modelAssetBuffer, delegate },
+    runningMode: 'VIDEO',
+    numHands,
+  })
+
+  try {
+    return await create('GPU')
+  } catch (err) {
+    console.warn('GPU hand tracking failed, using CPU:', err)
+    return create('CPU')
+  }
+}
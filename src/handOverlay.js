@@ -0,0 +1,120 @@
+/**
+ * Webcam preview overlay - hand skeletons, the fingertips the classifier
+ * measures, and each hand's current gesture - plus detection statistics for
+ * the diagnostics panel.
+ */
+
+import { GESTURES } from './gestures'
+
+// Bones between the 21 hand landmarks
+const HAND_CONNECTIONS = [
+  [0, 1], [1, 2], [2, 3], [3, 4], // thumb
+  [0, 5], [5, 6], [6, 7], [7, 8], // index
+  [5, 9], [9, 10], [10, 11], [11, 12], // middle
+  [9, 13], [13, 14], [14, 15], [15, 16], // ring
+  [13, 17], [0, 17], [17, 18], [18, 19], [19, 20], // pinky and palm
+]
+
+const PINCH_TIPS = [4, 8] // Thumb and index - pinch distance
+const OPEN_TIPS = [8, 12, 16, 20] // Measured from the wrist for openness
+
+const HAND_COLORS = { Left: '#66ccff', Right: '#d4af37' }
+
+// Map normalised landmark coordinates onto the canvas the way the <video> is
+// shown: object-fit: cover, mirrored
+function videoToCanvas(video, canvas) {
+  const vw = video.videoWidth || canvas.width
+  const vh = video.videoHeight || canvas.height
+  const scale = Math.max(canvas.width / vw, canvas.height / vh)
+  const offsetX = (canvas.width - vw * scale) / 2
+  const offsetY = (canvas.height - vh * scale) / 2
+  return (point) => [
+    canvas.width - (offsetX + point.x * vw * scale),
+    offsetY + point.y * vh * scale,
+  ]
+}
+
+// hands: gestureState.hands - { Left, Right } with landmarks, gesture and confidence
+export function drawHandOverlay(canvas, video, hands) {
+  if (!canvas) return
+  // Match the canvas to its displayed size so lines stay crisp
+  const { clientWidth, clientHeight } = canvas
+  if (canvas.width !== clientWidth || canvas.height !== clientHeight) {
+    canvas.width = clientWidth
+    canvas.height = clientHeight
+  }
+
+  const ctx = canvas.getContext('2d')
+  ctx.clearRect(0, 0, canvas.width, canvas.height)
+  const project = videoToCanvas(video, canvas)
+
+  Object.entries(hands).forEach(([side, hand]) => {
+    const { landmarks } = hand
+    if (!hand.detected || !landmarks) return
+    const points = landmarks.map(project)
+    const color = HAND_COLORS[side]
+
+    ctx.strokeStyle = color
+    ctx.lineWidth = 1.5
+    ctx.beginPath()
+    HAND_CONNECTIONS.forEach(([a, b]) => {
+      ctx.moveTo(...points[a])
+      ctx.lineTo(...points[b])
+    })
+    ctx.stroke()
+
+    // Pinch distance line, brighter the closer it is to a pinch
+    ctx.strokeStyle = `rgba(255, 80, 120, ${0.3 + 0.7 * (hand.confidences?.PINCH || 0)})`
+    ctx.beginPath()
+    ctx.moveTo(...points[PINCH_TIPS[0]])
+    ctx.lineTo(...points[PINCH_TIPS[1]])
+    ctx.stroke()
+
+    points.forEach(([x, y], i) => {
+      const pinchTip = PINCH_TIPS.includes(i)
+      const openTip = OPEN_TIPS.includes(i)
+      ctx.fillStyle = pinchTip ? '#ff5078' : openTip ? '#ffffff' : color
+      ctx.beginPath()
+      ctx.arc(x, y, pinchTip || openTip ? 3 : 1.5, 0, Math.PI * 2)
+      ctx.fill()
+    })
+
+    // Classification label by the wrist
+    const gesture = GESTURES[hand.gesture]
+    const label = gesture
+      ? `${side[0]} ${gesture.icon} ${Math.round(hand.confidence * 100)}%`
+      : `${side[0]} …`
+    const [wx, wy] = points[0]
+    ctx.font = '11px Arial, sans-serif'
+    ctx.textAlign = 'center'
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)'
+    ctx.fillRect(wx - 28, wy + 4, 56, 15)
+    ctx.fillStyle = color
+    ctx.fillText(label, wx, wy + 15)
+  })
+}
+
+// Rolling detection statistics over the last second
+export function createDetectionStats() {
+  let samples = [] // { time, latency }
+  let droppedTotal = 0
+
+  return {
+    // latency: inference time in ms; skipped: camera frames that arrived since the last detection and were never analysed
+    record(time, latency, skipped = 0) {
+      samples.push({ time, latency })
+      samples = samples.filter(sample => time - sample.time <= 1000)
+      droppedTotal += Math.max(0, skipped)
+    },
+
+    snapshot(time = performance.now()) {
+      const latencies = samples.filter(sample => time - sample.time <= 1000).map(sample => sample.latency)
+      return {
+        fps: latencies.length,
+        latency: latencies.length ? latencies.reduce((a, b) => a + b, 0) / latencies.length : 0,
+        maxLatency: latencies.length ? Math.max(...latencies) : 0,
+        dropped: droppedTotal,
+      }
+    },
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * Keyboard shortcuts. Each key runs one of the app actions gestures can be
+ * bound to (see gestureBindings.js), or one of the keyboard-only KEY_ACTIONS.
+ */
+
+import { getFormations } from './formations'
+import { APP_ACTIONS, modeAction } from './gestureBindings'
+
+export const KEY_ACTIONS = {
+  TOGGLE_PHOTO: '🔍 Expand / shrink current photo',
+  SHOW_HELP: '❓ Show / hide shortcuts',
+  CLOSE_PANELS: '✖ Close panels',
+}
+
+const KEY_NAMES = { ' ': 'Space', ArrowLeft: '←', ArrowRight: '→', Escape: 'Esc' }
+
+// [{ keys, action, label }] - number keys pick formations in registry order
+export function getKeyCommands() {
+  const commands = [
+    { keys: ['h'], action: 'TOGGLE_UI' },
+    ...getFormations().slice(0, 9).map((f, i) => ({
+      keys: [String(i + 1)],
+      action: modeAction(f.id),
+      label: `${f.icon} ${f.label} mode`,
+    })),
+    { keys: ['t', ']'], action: 'NEXT_THEME' },
+    { keys: ['T', '['], action: 'PREVIOUS_THEME' },
+    { keys: ['m'], action: 'TOGGLE_MUSIC' },
+    { keys: ['n'], action: 'NEXT_TRACK' },
+    { keys: ['N'], action: 'PREVIOUS_TRACK' },
+    { keys: ['f'], action: 'TOGGLE_FULLSCREEN' },
+    { keys: ['ArrowRight'], action: 'NEXT_PHOTO' },
+    { keys: ['ArrowLeft'], action: 'PREVIOUS_PHOTO' },
+    { keys: [' '], action: 'TOGGLE_PHOTO' },
+    { keys: ['x'], action: 'SHRINK_ALL' },
+    { keys: ['g'], action: 'CYCLE_FORCE_FIELD' },
+    { keys: ['?'], action: 'SHOW_HELP' },
+    { keys: ['Escape'], action: 'CLOSE_PANELS' },
+  ]
+  return commands.map(command => ({
+    ...command,
+    label: command.label || APP_ACTIONS[command.action] || KEY_ACTIONS[command.action],
+  }))
+}
+
+// How a key is shown in the help overlay
+export function keyName(key) {
+  if (KEY_NAMES[key]) return KEY_NAMES[key]
+  if (key.length === 1 && key !== key.toLowerCase()) return `Shift+${key}`
+  return key.toUpperCase()
+}
+
+function isEditable(target) {
+  return target instanceof HTMLElement &&
+    (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))
+}
+
+// The command for a keydown event, or null - typing in a field and browser
+// shortcuts (Ctrl/Cmd/Alt) are left alone
+export function findKeyCommand(event, commands) {
+  if (event.ctrlKey || event.metaKey || event.altKey || isEditable(event.target)) return null
+  // Exact match first (so T and t can differ), then ignore case (Caps Lock)
+  return commands.find(command => command.keys.includes(event.key)) ||
+    commands.find(command => command.keys.includes(event.key.toLowerCase())) ||
+    null
+}
@@ -0,0 +1,85 @@
+/**
+ * Music library - the bundled tracks plus audio files the user uploads,
+ * stored in IndexedDB as { id, blob, name, order }.
+ *
+ * Library tracks are { id, name, url, builtIn }. Player settings (volume,
+ * shuffle, tracks left out of the playlist, per-theme tracks) live in
+ * localStorage.
+ */
+
+import { withStore } from './db'
+import { MUSIC_TRACKS } from './themes'
+
+const STORE = 'tracks'
+const SETTINGS_KEY = 'christmasMusicSettings'
+
+export const DEFAULT_MUSIC_SETTINGS = {
+  volume: 1,
+  shuffle: false,
+  keepTrack: false, // Keep playing the current track when the theme changes
+  excluded: [], // Track ids left out of the playlist
+  themeTracks: {}, // themeId -> track id, overriding the theme's own music
+}
+
+export const BUNDLED_TRACKS = MUSIC_TRACKS.map(track => ({
+  id: `bundled:${track.file}`,
+  name: track.name,
+  url: track.url,
+  builtIn: true,
+}))
+
+export async function loadTrackRecords() {
+  const records = await withStore(STORE, 'readonly', store => store.getAll())
+  return (records || []).sort((a, b) => a.order - b.order)
+}
+
+export function putTrack(record) {
+  return withStore(STORE, 'readwrite', store => store.put(record))
+}
+
+export function deleteTrack(id) {
+  return withStore(STORE, 'readwrite', store => store.delete(id))
+}
+
+// Uploaded file -> stored record; the name is the file name without its extension
+export function createTrackRecord(file, order) {
+  return {
+    id: `track-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    blob: file,
+    name: file.name.replace(/\.[^.]+$/, '').slice(0, 60) || 'Untitled',
+    order,
+  }
+}
+
+// The track a theme plays: its assigned track, else its own music URL
+export function trackForTheme(tracks, settings, themeId, theme) {
+  const assigned = tracks.find(track => track.id === settings.themeTracks[themeId])
+  if (assigned) return assigned
+  return tracks.find(track => track.url === theme.music) ||
+    { id: theme.music, name: String(theme.music).split('/').pop(), url: theme.music }
+}
+
+export function loadMusicSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}')
+    const volume = Number.isFinite(saved.volume) ? Math.min(Math.max(saved.volume, 0), 1) : DEFAULT_MUSIC_SETTINGS.volume
+    return {
+      volume,
+      shuffle: saved.shuffle === true,
+      keepTrack: saved.keepTrack === true,
+      excluded: Array.isArray(saved.excluded) ? saved.excluded : [],
+      themeTracks: saved.themeTracks && typeof saved.themeTracks === 'object' ? saved.themeTracks : {},
+    }
+  } catch (err) {
+    console.error('Failed to load music settings:', err)
+    return { ...DEFAULT_MUSIC_SETTINGS }
+  }
+}
+
+export function saveMusicSettings(settings) {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings))
+  } catch (err) {
+    console.error('Failed to save music settings:', err)
+  }
+}
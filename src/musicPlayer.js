@@ -0,0 +1,184 @@
+/**
+ * Background music player around the page's two <audio> elements - the
+ * playlist order, shuffle and volume, and getting playback started at all.
+ *
+ * The elements take turns, so a new track cross-fades with the one playing.
+ * Browsers refuse play() until the user has interacted with the page, so a
+ * blocked start is retried on the first click or key press (a tap counts as a click).
+ */
+
+// Listened for on window after the app's own handlers, so a click on the music
+// button (or the M key) starts the music once instead of toggling it straight off
+const GESTURE_EVENTS = ['click', 'keydown']
+
+export const CROSSFADE_SECONDS = 2
+const CROSSFADE_STEP_MS = 50
+
+export function createMusicPlayer() {
+  let elements = []
+  let audio = null // The element playing the current track
+  let volume = 1
+  let fade = null // { outgoing, timer } while two tracks overlap
+  let onTrackChange = null
+  let playlist = []
+  let track = null
+  let shuffle = false
+  let wantPlaying = true // Whether the user wants music - a blocked start still counts
+  let waiting = false
+
+  const retryOnGesture = () => {
+    if (waiting) return
+    waiting = true
+    const retry = () => {
+      GESTURE_EVENTS.forEach(name => window.removeEventListener(name, retry))
+      waiting = false
+      if (wantPlaying && audio?.paused) start().catch(err => console.error('Music play failed:', err))
+    }
+    GESTURE_EVENTS.forEach(name => window.addEventListener(name, retry))
+  }
+
+  const start = () => {
+    if (!audio || !audio.src) return Promise.resolve()
+    return audio.play().catch((err) => {
+      if (err.name !== 'NotAllowedError') throw err
+      console.log('Autoplay blocked, waiting for user interaction')
+      retryOnGesture()
+    })
+  }
+
+  // Cut the cross-fade short: the outgoing track stops, the new one is at full volume
+  const finishFade = () => {
+    if (!fade) return
+    clearInterval(fade.timer)
+    fade.outgoing.pause()
+    audio.volume = volume
+    fade = null
+  }
+
+  const crossFade = (outgoing) => {
+    const started = performance.now()
+    fade = {
+      outgoing,
+      timer: setInterval(() => {
+        const t = Math.min(1, (performance.now() - started) / (CROSSFADE_SECONDS * 1000))
+        outgoing.volume = volume * (1 - t)
+        audio.volume = volume * t
+        if (t >= 1) finishFade()
+      }, CROSSFADE_STEP_MS),
+    }
+  }
+
+  const play = (next = track) => {
+    wantPlaying = true
+    if (!next) return Promise.resolve()
+    if (!track || next.url !== track.url) {
+      finishFade()
+      const outgoing = audio
+      // Hand over to the other element while music is audible, else just switch tracks
+      if (!outgoing.paused && elements.length > 1) {
+        audio = elements.find(element => element !== outgoing)
+        audio.volume = 0
+        crossFade(outgoing)
+      }
+      audio.src = next.url
+    } else if (audio.ended) {
+      audio.currentTime = 0
+    }
+    if (next !== track) {
+      track = next
+      onTrackChange?.(track)
+    }
+    return start()
+  }
+
+  // step: +1 / -1 through the playlist, or a random other track when shuffling
+  const skip = (step) => {
+    if (playlist.length === 0) return Promise.resolve()
+    const index = playlist.findIndex(t => t.id === track?.id)
+    let next
+    if (shuffle && playlist.length > 1) {
+      const others = playlist.filter((_, i) => i !== index)
+      next = others[Math.floor(Math.random() * others.length)]
+    } else if (index < 0) {
+      next = playlist[step > 0 ? 0 : playlist.length - 1]
+    } else {
+      next = playlist[(index + step + playlist.length) % playlist.length]
+    }
+    // Skipping onto the same track (a playlist of one) starts it over
+    if (next === track) audio.currentTime = 0
+    return play(next)
+  }
+
+  // Only the current track ending moves on; the outgoing one just stops
+  const handleEnded = (event) => {
+    if (event.target !== audio) return
+    skip(1).catch(err => console.error('Music play failed:', err))
+  }
+
+  return {
+    get track() {
+      return track
+    },
+
+    // Both <audio> elements, e.g. for the audio analyser
+    get elements() {
+      return elements
+    },
+
+    // Whether the current track is playing (the outgoing one doesn't count)
+    get playing() {
+      return Boolean(audio && !audio.paused)
+    },
+
+    // Takes one or two <audio> elements (two to cross-fade); returns a function that detaches the player
+    attach(audioElements, { onTrackChange: handleTrackChange } = {}) {
+      elements = [].concat(audioElements)
+      audio = elements[0]
+      onTrackChange = handleTrackChange
+      elements.forEach(element => element.addEventListener('ended', handleEnded))
+      return () => {
+        finishFade()
+        elements.forEach(element => element.removeEventListener('ended', handleEnded))
+        elements = []
+        audio = null
+        onTrackChange = null
+      }
+    },
+
+    // Tracks next / previous and the end of a track move through
+    setPlaylist(tracks) {
+      playlist = tracks
+    },
+
+    setShuffle(value) {
+      shuffle = value
+    },
+
+    setVolume(value) {
+      volume = value
+      // A running cross-fade picks the new volume up on its next step
+      if (audio && !fade) audio.volume = volume
+    },
+
+    // Play a track (or resume the current one); rejects when the browser can't play it
+    play,
+
+    pause() {
+      wantPlaying = false
+      if (!audio) return
+      finishFade()
+      audio.pause()
+    },
+
+    toggle() {
+      if (audio && !audio.paused) {
+        this.pause()
+        return Promise.resolve()
+      }
+      return play()
+    },
+
+    next: () => skip(1),
+    previous: () => skip(-1),
+  }
+}
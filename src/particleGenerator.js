@@ -0,0 +1,112 @@
+/**
+ * Particle generation on a Web Worker, so a new seed, quality level or theme
+ * doesn't stall the page. Only the newest request of each kind matters: one
+ * still waiting to be sent when another comes in resolves to null instead.
+ * A task that fails (here or in the worker) is logged and resolves to null too.
+ *
+ * Falls back to generating on the main thread where workers are unavailable.
+ */
+
+import { PARTICLE_TASKS } from './particleLayers'
+
+export function createParticleGenerator() {
+  let worker = null
+  let nextId = 0
+  let running = null // { id, task, args, resolve }
+  const queued = new Map() // task -> request
+
+  const send = (request) => {
+    running = request
+    worker.postMessage({ id: request.id, task: request.task, args: request.args })
+  }
+
+  const finish = (result) => {
+    running.resolve(result)
+    running = null
+    const [next] = queued.values()
+    if (next) {
+      queued.delete(next.task)
+      send(next)
+    }
+  }
+
+  // Run a task on this thread
+  const runHere = (task, args) => {
+    try {
+      return PARTICLE_TASKS[task](...args)
+    } catch (err) {
+      console.error(`Particle task "${task}" failed:`, err)
+      return null
+    }
+  }
+
+  const pending = () => {
+    const requests = [running, ...queued.values()].filter(Boolean)
+    running = null
+    queued.clear()
+    return requests
+  }
+
+  // Run whatever is left here when the worker fails
+  const fallBack = (reason) => {
+    console.warn('Particle worker unavailable, generating on the main thread:', reason)
+    worker?.terminate()
+    worker = null
+    pending().forEach(request => request.resolve(runHere(request.task, request.args)))
+  }
+
+  const run = (task, args) => {
+    if (!worker) return Promise.resolve(runHere(task, args))
+    return new Promise((resolve) => {
+      const request = { id: nextId++, task, args, resolve }
+      if (!running) {
+        send(request)
+      } else {
+        queued.get(task)?.resolve(null)
+        queued.set(task, request)
+      }
+    })
+  }
+
+  try {
+    worker = new Worker(new URL('./particleWorker.js', import.meta.url), { type: 'module' })
+    worker.onmessage = ({ data }) => {
+      if (!running || data.id !== running.id) return
+      if (data.error) console.error(`Particle task "${running.task}" failed:`, data.error)
+      finish(data.error ? null : data.result)
+    }
+    worker.onerror = (event) => {
+      event.preventDefault()
+      fallBack(event.message)
+    }
+  } catch (err) {
+    fallBack(err)
+  }
+
+  return {
+    // A new layout, coloured for the theme - resolves to { layers, colors } (see particleLayers.js)
+    generate: (seed, counts, theme) => run('generate', [seed, counts, theme]),
+
+    // New colours for the same layers - resolves to { tree, ground, stars }
+    recolor(theme, seed, layers) {
+      const kinds = Object.fromEntries(Object.entries(layers).map(([name, { count, kinds }]) => [name, { count, kinds }]))
+      return run('recolor', [theme, seed, kinds])
+    },
+
+    // Targets of a formation that reads scene options - resolves to { tree, ground, stars }
+    sample(layers, formationId, options, seed) {
+      const points = Object.fromEntries(Object.entries(layers).map(([name, { count, positions, kinds, groups, slots }]) =>
+        [name, { count, positions, kinds, groups, slots }]
+      ))
+      // The greeting text is drawn on a canvas - in a worker that takes OffscreenCanvas
+      if (typeof OffscreenCanvas === 'undefined') return Promise.resolve(runHere('sample', [points, formationId, options, seed]))
+      return run('sample', [points, formationId, options, seed])
+    },
+
+    dispose() {
+      worker?.terminate()
+      worker = null
+      pending().forEach(request => request.resolve(null))
+    },
+  }
+}
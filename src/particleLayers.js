@@ -0,0 +1,287 @@
+/**
+ * Particle layer data - the tree, ground and star particles as flat typed
+ * arrays, ready to hand to the GPU (and to post from a worker without copying):
+ *
+ *   {
+ *     count,
+ *     positions: Float32Array(count * 3), // Tree positions
+ *     kinds: Uint8Array(count), // Index into POINT_KINDS
+ *     groups: Uint8Array(count), slots: Float32Array(count), // Star groups (see generateStars)
+ *     targets: { [formationId]: Float32Array(count * 3) },
+ *   }
+ *
+ * targets holds every formation that doesn't depend on scene options; the
+ * rest are sampled while they are showing (PARTICLE_TASKS.sample).
+ *
+ * The layout only depends on the seed and the point counts. Colours come from
+ * the theme separately (layerColors), so a theme change recolours the same tree.
+ */
+
+import { CONFIG } from './config'
+import { getFormation, getFormations } from './formations'
+import { createRandom } from './random'
+
+export const POINT_KINDS = ['spiral', 'fill', 'ground', 'star']
+const KIND_INDEX = Object.fromEntries(POINT_KINDS.map((kind, i) => [kind, i]))
+
+// Radii of the ground rings (snow settles on them too)
+export const GROUND_RINGS = [4.6, 6.0, 7.4, 8.8, 10.2, 11.4]
+
+function createLayer(count) {
+  return {
+    count,
+    positions: new Float32Array(count * 3),
+    kinds: new Uint8Array(count),
+    groups: new Uint8Array(count),
+    slots: new Float32Array(count),
+    targets: {},
+  }
+}
+
+function setPoint(layer, i, kind, x, y, z) {
+  layer.kinds[i] = KIND_INDEX[kind]
+  layer.positions[i * 3] = x
+  layer.positions[i * 3 + 1] = y
+  layer.positions[i * 3 + 2] = z
+}
+
+// Tree particles - 70% spiral lights, 30% fill
+function generateTree(seed, count) {
+  const random = createRandom(seed, 'tree')
+  const layer = createLayer(count)
+  const loops = 9
+  const spiralN = Math.floor(count * 0.7)
+
+  for (let i = 0; i < spiralN; i++) {
+    const u = random()
+    const h = Math.pow(u, 1.6)
+    const y = CONFIG.TREE_HEIGHT * h + 0.2
+
+    let baseR = Math.pow(1 - h, 1.1) * 3.2
+    const branchWave = Math.max(0, Math.sin((h * 5.8 + 0.15) * Math.PI * 2))
+    const branchFactor = 1.0 + 0.65 * branchWave
+    baseR *= branchFactor
+
+    const t = u * loops * Math.PI * 2
+    const angle = t + (random() - 0.5) * 0.44
+    const r = baseR * (0.85 + random() * 0.23)
+
+    setPoint(layer, i, 'spiral', Math.cos(angle) * r, y, Math.sin(angle) * r)
+  }
+
+  for (let i = spiralN; i < count; i++) {
+    const h = Math.pow(random(), 1.9)
+    const y = CONFIG.TREE_HEIGHT * h + 0.2 + (random() - 0.5) * 0.16
+
+    let baseR = Math.pow(1 - h, 1.1) * 4.3
+    const branchWave = Math.max(0, Math.sin((h * 5.8 + 0.15) * Math.PI * 2))
+    const branchFactor = 1.0 + 0.65 * branchWave
+    baseR *= branchFactor
+
+    const r = baseR * Math.sqrt(random())
+    const angle = random() * Math.PI * 2
+
+    const x = Math.cos(angle) * r + (random() - 0.5) * 0.16
+    const z = Math.sin(angle) * r + (random() - 0.5) * 0.16
+    setPoint(layer, i, 'fill', x, y, z)
+  }
+
+  return layer
+}
+
+// Ground particles, scattered over the rings
+function generateGround(seed, count) {
+  const random = createRandom(seed, 'ground')
+  const layer = createLayer(count)
+
+  for (let i = 0; i < count; i++) {
+    const ring = GROUND_RINGS[Math.floor(random() * GROUND_RINGS.length)]
+    const r = ring + (random() - 0.5) * 0.6
+    const theta = random() * Math.PI * 2
+    setPoint(layer, i, 'ground', Math.cos(theta) * r, -0.25, Math.sin(theta) * r)
+  }
+
+  return layer
+}
+
+// Background stars, in groups so formations can gather each group into a
+// small shape; slot is the point's place (0..1) around its group's outline
+function generateStars(seed, count) {
+  const random = createRandom(seed, 'stars')
+  const numHearts = 15 // Number of small hearts
+  const particlesPerHeart = Math.floor(count / numHearts)
+  const layer = createLayer(numHearts * particlesPerHeart)
+
+  for (let h = 0; h < numHearts; h++) {
+    for (let i = 0; i < particlesPerHeart; i++) {
+      const index = h * particlesPerHeart + i
+      const x = (random() - 0.5) * 36
+      const z = (random() - 0.5) * 36
+      const y = 3 + random() * 15
+      setPoint(layer, index, 'star', x, y, z)
+      layer.groups[index] = h
+      layer.slots[index] = i / particlesPerHeart
+    }
+  }
+
+  return layer
+}
+
+/**
+ * A formation's target positions for a layer. The point handed to the sampler
+ * is reused from one call to the next.
+ */
+export function sampleFormation(layer, layerName, formation, options, seed) {
+  const sample = formation.createSampler(options, createRandom(seed, `${layerName}:${formation.id}`))
+  const target = new Float32Array(layer.count * 3)
+  const position = [0, 0, 0]
+  const point = { position, kind: null, group: 0, slot: 0 }
+
+  for (let i = 0; i < layer.count; i++) {
+    position[0] = layer.positions[i * 3]
+    position[1] = layer.positions[i * 3 + 1]
+    position[2] = layer.positions[i * 3 + 2]
+    point.kind = POINT_KINDS[layer.kinds[i]]
+    point.group = layer.groups[i]
+    point.slot = layer.slots[i]
+    // Points without a target stay at their tree position
+    const pos = sample(point) || position
+    target[i * 3] = pos[0]
+    target[i * 3 + 1] = pos[1]
+    target[i * 3 + 2] = pos[2]
+  }
+  return target
+}
+
+const GENERATORS = { tree: generateTree, ground: generateGround, stars: generateStars }
+
+/**
+ * All three layers for a seed and counts ({ tree, ground, stars }), with the
+ * targets of every option-free formation.
+ */
+export function generateLayers(seed, counts) {
+  const formations = getFormations().filter(f => f.createSampler && f.options.length === 0)
+  return Object.fromEntries(Object.entries(GENERATORS).map(([name, generate]) => {
+    const layer = generate(seed, counts[name])
+    formations.forEach((formation) => {
+      layer.targets[formation.id] = sampleFormation(layer, name, formation, {}, seed)
+    })
+    return [name, layer]
+  }))
+}
+
+// One tree point's colour, [r, g, b] in 0..1
+function treeColor(colors, kind, colorRandom) {
+  const colorRand = colorRandom()
+  const tinted = ([r, g, b]) => [r / 255, (g + colorRandom() * 20) / 255, (b + colorRandom() * 20) / 255]
+
+  if (kind === 'spiral') {
+    if (colors.accent && colorRand < 0.10) {
+      // Small chance of tiny accent dots
+      const [r, g, b] = colors.accent
+      return [r / 255, g / 255, b / 255]
+    }
+    if (colorRand < 0.15) return tinted(colors.deep)
+    if (colorRand < 0.3) return tinted(colors.medium)
+    if (colorRand < 0.45) return tinted(colors.light)
+  } else {
+    if (colorRand < 0.25) return tinted(colors.deep)
+    if (colorRand < 0.5) return tinted(colors.medium)
+    if (colorRand < 0.75) return tinted(colors.light)
+  }
+
+  // White (the most common)
+  if (colors.white) {
+    if (colors.whiteReplacement) {
+      // Theme tint instead of white, dimmed so it sits deeper in the tree
+      // (60-84% of the tint on the spiral, 100-129% in the fill). For the
+      // traditional theme this approximates the original deep green, whose
+      // fill points were a little less saturated than the spiral's
+      const [r, g, b] = colors.whiteReplacement
+      const shade = kind === 'spiral' ? Math.floor(colorRandom() * 25 + 60) : Math.floor(colorRandom() * 30 + 100)
+      return [r, g, b].map(c => Math.min(1, c * shade / 100 / 255))
+    }
+    const brightness = Math.floor(colorRandom() * 50 + 205) / 255
+    return [brightness, brightness, brightness]
+  }
+  const lift = kind === 'spiral' ? 30 : 40
+  const [r, g, b] = colors.light
+  return [(r + lift) / 255, (g + lift) / 255, (b + lift) / 255]
+}
+
+function groundColor(ground, colorRandom) {
+  const blue = Array.isArray(ground.b) ? ground.b[1] : ground.b
+  const colorRand = colorRandom()
+  let r, g, b
+  if (colorRand < 0.3) {
+    r = Math.floor(colorRandom() * (ground.r[1] - ground.r[0]) + ground.r[0])
+    g = Math.floor(colorRandom() * (ground.g[1] - ground.g[0]) + ground.g[0])
+    b = Array.isArray(ground.b) ? Math.floor(colorRandom() * (ground.b[1] - ground.b[0]) + ground.b[0]) : ground.b
+  } else if (colorRand < 0.6) {
+    r = Math.floor(colorRandom() * 30 + ground.r[0])
+    g = Math.floor(colorRandom() * 40 + ground.g[0])
+    b = blue
+  } else {
+    r = Math.floor(colorRandom() * 30 + Math.min(150, ground.r[1]))
+    g = Math.floor(colorRandom() * 30 + Math.min(200, ground.g[1]))
+    b = blue
+  }
+  return [r / 255, g / 255, b / 255]
+}
+
+/**
+ * Theme colours for generated layers - { tree, ground, stars } of
+ * Float32Array(count * 3). Colours are drawn from their own random streams,
+ * so the same seed always gives the same colouring of the same tree.
+ */
+export function layerColors(theme, seed, layers) {
+  const colorRandom = {
+    tree: createRandom(seed, 'tree-color'),
+    ground: createRandom(seed, 'ground-color'),
+    stars: createRandom(seed, 'stars-color'),
+  }
+  const [min, max] = theme.stars
+
+  const colorOf = {
+    tree: (kind) => treeColor(theme.tree, kind, colorRandom.tree),
+    ground: () => groundColor(theme.ground, colorRandom.ground),
+    stars: () => {
+      const base = Math.floor(colorRandom.stars() * (max - min) + min) / 255
+      return [base, base, 1]
+    },
+  }
+
+  return Object.fromEntries(Object.entries(layers).map(([name, layer]) => {
+    const colors = new Float32Array(layer.count * 3)
+    for (let i = 0; i < layer.count; i++) {
+      const [r, g, b] = colorOf[name](POINT_KINDS[layer.kinds[i]])
+      colors[i * 3] = r
+      colors[i * 3 + 1] = g
+      colors[i * 3 + 2] = b
+    }
+    return [name, colors]
+  }))
+}
+
+// What the particle worker runs (and the main thread, without a worker)
+export const PARTICLE_TASKS = {
+  // A new layout, coloured for the theme - { layers, colors }
+  generate(seed, counts, theme) {
+    const layers = generateLayers(seed, counts)
+    return { layers, colors: layerColors(theme, seed, layers) }
+  },
+  // Only needs each layer's count and kinds
+  recolor: layerColors,
+  // One formation's targets with scene options - { tree, ground, stars }
+  sample(layers, formationId, options, seed) {
+    const formation = getFormation(formationId)
+    return Object.fromEntries(Object.entries(layers).map(([name, layer]) => [name, sampleFormation(layer, name, formation, options, seed)]))
+  },
+}
+
+// Buffers of every typed array in a task result, to transfer rather than copy
+export function resultBuffers(value) {
+  if (ArrayBuffer.isView(value)) return [value.buffer]
+  if (!value || typeof value !== 'object') return []
+  return Object.values(value).flatMap(resultBuffers)
+}
@@ -0,0 +1,21 @@
+/**
+ * Particle generation worker - runs PARTICLE_TASKS off the main thread and
+ * posts the typed arrays back without copying.
+ *
+ *   in:  { id, task, args }
+ *   out: { id, result } or { id, error } when the task throws
+ */
+
+import { PARTICLE_TASKS, resultBuffers } from './particleLayers'
+
+self.onmessage = ({ data: { id, task, args } }) => {
+  let result
+  try {
+    result = PARTICLE_TASKS[task](...args)
+  } catch (err) {
+    // Fail just this request - the worker stays up for the next one
+    self.postMessage({ id, error: err.message })
+    return
+  }
+  self.postMessage({ id, result }, resultBuffers(result))
+}
@@ -0,0 +1,103 @@
+/**
+ * Photo storage backed by IndexedDB.
+ *
+ * Each photo is one record holding the compressed image as a Blob plus its
+ * metadata: { id, blob, width, height, positions, order }. Photos saved by
+ * older versions as data URLs in localStorage are migrated on first load.
+ */
+
+import { withStore as withDBStore } from './db'
+
+const STORE = 'photos'
+const LEGACY_KEY = 'christmasPhotos'
+
+const withStore = (mode, fn) => withDBStore(STORE, mode, fn)
+
+export async function loadPhotoRecords() {
+  const records = await withStore('readonly', store => store.getAll())
+  return (records || []).sort((a, b) => a.order - b.order)
+}
+
+export function putPhoto(record) {
+  return withStore('readwrite', store => store.put(record))
+}
+
+export function deletePhotos(ids) {
+  return withStore('readwrite', (store) => {
+    ids.forEach(id => store.delete(id))
+  })
+}
+
+// Merge changes into stored records: [{ id, ...changes }]
+export function updatePhotos(updates) {
+  return withStore('readwrite', (store) => {
+    updates.forEach((changes) => {
+      const request = store.get(changes.id)
+      request.onsuccess = () => {
+        if (request.result) store.put({ ...request.result, ...changes })
+      }
+    })
+  })
+}
+
+// Move photos saved as data URLs in localStorage into IndexedDB
+export async function migrateLegacyPhotos() {
+  const saved = localStorage.getItem(LEGACY_KEY)
+  if (!saved) return 0
+
+  let legacyPhotos
+  try {
+    legacyPhotos = JSON.parse(saved)
+  } catch (err) {
+    // Leave the saved data alone rather than lose it
+    console.error('Failed to read legacy photos, skipping migration:', err)
+    return 0
+  }
+  if (!Array.isArray(legacyPhotos)) {
+    console.error('Legacy photos are not a list, skipping migration')
+    return 0
+  }
+
+  // A photo that can't be converted is skipped, the rest still move over
+  const results = await Promise.allSettled(legacyPhotos.map(async (photo, index) => ({
+    id: photo.id,
+    blob: await (await fetch(photo.imageData)).blob(),
+    width: photo.width,
+    height: photo.height,
+    positions: photo.positions || { TREE: photo.treePos, HEART: photo.heartPos },
+    order: index,
+  })))
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') console.error(`Failed to migrate legacy photo ${index}:`, result.reason)
+  })
+  const records = results.filter(result => result.status === 'fulfilled').map(result => result.value)
+
+  await withStore('readwrite', (store) => {
+    records.forEach(record => store.put(record))
+  })
+  localStorage.removeItem(LEGACY_KEY)
+  return records.length
+}
+
+// { usage, quota } in bytes, or null when the browser can't tell
+export async function getStorageEstimate() {
+  if (!navigator.storage?.estimate) return null
+  try {
+    const { usage, quota } = await navigator.storage.estimate()
+    return { usage, quota }
+  } catch (err) {
+    console.error('Storage estimate failed:', err)
+    return null
+  }
+}
+
+// Ask the browser not to evict our photos under storage pressure
+export function requestPersistentStorage() {
+  navigator.storage?.persist?.().catch(err => console.error('Persistent storage request failed:', err))
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`
+}
@@ -0,0 +1,133 @@
+/**
+ * Rendering quality - particle counts, pixel ratio, gesture-detection rate and
+ * snow density, grouped into levels from Low to Ultra.
+ *
+ * "Auto" starts from the last level it settled on and lets a frame-rate
+ * monitor step between levels; battery saver pins Low and caps rendering at
+ * BATTERY_SAVER_FPS. The choice is kept in localStorage.
+ */
+
+import { CONFIG } from './config'
+
+const QUALITY_KEY = 'christmasQuality'
+
+export const AUTO_QUALITY = 'auto'
+export const BATTERY_SAVER_FPS = 30
+
+// particles and snow: share of the CONFIG point counts; maxDpr caps the device pixel ratio
+export const QUALITY_LEVELS = [
+  { id: 'low', label: 'Low', particles: 0.25, maxDpr: 1, detectFps: 10, snow: 0.3 },
+  { id: 'medium', label: 'Medium', particles: 0.5, maxDpr: 1.25, detectFps: 15, snow: 0.6 },
+  { id: 'high', label: 'High', particles: 0.75, maxDpr: 1.5, detectFps: 24, snow: 1 },
+  { id: 'ultra', label: 'Ultra', particles: 1, maxDpr: 2, detectFps: 30, snow: 1 },
+]
+
+export const DEFAULT_QUALITY_SETTINGS = {
+  level: AUTO_QUALITY, // A QUALITY_LEVELS id, or AUTO_QUALITY
+  autoLevel: 'high', // Where the monitor last settled
+  batterySaver: false,
+}
+
+const isLevelId = (id) => QUALITY_LEVELS.some(level => level.id === id)
+
+export function getQualityLevel(id) {
+  return QUALITY_LEVELS.find(level => level.id === id) || QUALITY_LEVELS[2]
+}
+
+// The level the saved settings currently render at
+export function activeQualityLevel(settings) {
+  if (settings.batterySaver) return QUALITY_LEVELS[0]
+  return getQualityLevel(settings.level === AUTO_QUALITY ? settings.autoLevel : settings.level)
+}
+
+// Neighbouring level id, or null past either end
+export function stepQualityLevel(id, step) {
+  const index = QUALITY_LEVELS.findIndex(level => level.id === id) + step
+  return QUALITY_LEVELS[index]?.id || null
+}
+
+// Points per particle layer at a level
+export function particleCounts(level) {
+  return {
+    tree: Math.round(CONFIG.TREE_POINTS * level.particles),
+    ground: Math.round(CONFIG.GROUND_POINTS * level.particles),
+    stars: Math.round(CONFIG.STAR_POINTS * level.particles),
+  }
+}
+
+export function loadQualitySettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(QUALITY_KEY) || '{}')
+    return {
+      level: saved.level === AUTO_QUALITY || isLevelId(saved.level) ? saved.level : DEFAULT_QUALITY_SETTINGS.level,
+      autoLevel: isLevelId(saved.autoLevel) ? saved.autoLevel : DEFAULT_QUALITY_SETTINGS.autoLevel,
+      batterySaver: saved.batterySaver === true,
+    }
+  } catch (err) {
+    console.error('Failed to load quality settings:', err)
+    return { ...DEFAULT_QUALITY_SETTINGS }
+  }
+}
+
+export function saveQualitySettings(settings) {
+  try {
+    localStorage.setItem(QUALITY_KEY, JSON.stringify(settings))
+  } catch (err) {
+    console.error('Failed to save quality settings:', err)
+  }
+}
+
+const SAMPLE_SECONDS = 2
+const LOW_FPS = 45 // A sample below this steps down
+const HIGH_FPS = 57 // Samples above this step up...
+const UPGRADE_SAMPLES = 3 // ...after this many in a row,
+const MAX_UPGRADE_SAMPLES = 24 // doubling (up to here) after every step down, so it doesn't keep bouncing
+const MAX_FRAME_SECONDS = 0.25 // Longer frames are a hidden tab or a one-off stall
+
+/**
+ * Frame-rate monitor for auto quality. Feed it every frame's delta; sample()
+ * returns -1 or +1 when the level should step down or up, otherwise 0.
+ */
+export function createFrameRateMonitor() {
+  let time = 0
+  let frames = 0
+  let goodSamples = 0
+  let upgradeSamples = UPGRADE_SAMPLES
+  let settling = true // Skip the sample holding a level change's rebuild
+
+  return {
+    sample(delta) {
+      if (delta > MAX_FRAME_SECONDS) return 0
+      time += delta
+      frames++
+      if (time < SAMPLE_SECONDS) return 0
+
+      const fps = frames / time
+      time = 0
+      frames = 0
+      if (settling) {
+        settling = false
+        return 0
+      }
+      if (fps < LOW_FPS) {
+        goodSamples = 0
+        upgradeSamples = Math.min(upgradeSamples * 2, MAX_UPGRADE_SAMPLES)
+        settling = true
+        return -1
+      }
+      goodSamples = fps >= HIGH_FPS ? goodSamples + 1 : 0
+      if (goodSamples < upgradeSamples) return 0
+      goodSamples = 0
+      settling = true
+      return 1
+    },
+
+    // Start over, e.g. after the level was changed by hand
+    reset() {
+      time = 0
+      frames = 0
+      goodSamples = 0
+      settling = true
+    },
+  }
+}
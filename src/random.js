@@ -0,0 +1,36 @@
+/**
+ * Seeded random numbers, so a tree layout can be recreated from its seed.
+ */
+
+// Mix a string salt into the seed (FNV-1a), giving each generator its own stream
+function hashSeed(seed, salt) {
+  let h = (0x811c9dc5 ^ seed) >>> 0
+  for (let i = 0; i < salt.length; i++) {
+    h = Math.imul(h ^ salt.charCodeAt(i), 0x01000193) >>> 0
+  }
+  return h
+}
+
+// mulberry32 - returns a Math.random()-like function
+export function createRandom(seed, salt = '') {
+  let a = hashSeed(seed >>> 0, salt)
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296)
+}
+
+// Accepts user input; returns null when it is not a usable seed
+export function parseSeed(value) {
+  const text = String(value ?? '').trim()
+  if (!text) return null
+  const seed = Number(text)
+  return Number.isInteger(seed) && seed >= 0 && seed < 4294967296 ? seed : null
+}
@@ -0,0 +1,28 @@
+/**
+ * Save a file the app generated - through a native save dialog in the
+ * Electron app (exposed by preload.js), or as a browser download.
+ */
+
+// filter: { name, extensions } for the dialog. Resolves false if the user cancelled.
+export async function saveBlob(blob, fileName, filter) {
+  if (window.electronAPI?.saveFile) {
+    const data = new Uint8Array(await blob.arrayBuffer())
+    const path = await window.electronAPI.saveFile({ data, fileName, filters: [filter] })
+    return !!path
+  }
+
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  // Give the download a moment to start before the URL goes away
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+  return true
+}
+
+// 2024-12-24-18-30-00 style stamp for file names
+export function fileTimestamp(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`
+}
@@ -0,0 +1,167 @@
+/**
+ * Card-quality screenshots - the scene re-rendered at a chosen resolution,
+ * with the greeting title, an optional message and optionally the webcam
+ * preview drawn on top. The page's buttons are never part of the image.
+ */
+
+import { Vector2 } from 'three'
+
+export const IMAGE_SIZES = {
+  screen: { label: 'Screen ×2', width: null, height: null },
+  hd: { label: 'Full HD (1920×1080)', width: 1920, height: 1080 },
+  uhd: { label: '4K (3840×2160)', width: 3840, height: 2160 },
+  phone: { label: 'Phone wallpaper (1170×2532)', width: 1170, height: 2532 },
+  square: { label: 'Square (2048×2048)', width: 2048, height: 2048 },
+}
+
+const TITLE_FONT = "Georgia, 'Times New Roman', serif"
+const GOLD = '#d4af37'
+
+// Pixel size for an IMAGE_SIZES id - "screen" doubles the current canvas
+export function imageSize(sizeId, canvas) {
+  const { width, height } = IMAGE_SIZES[sizeId] || IMAGE_SIZES.screen
+  if (width) return { width, height }
+  return { width: canvas.clientWidth * 2, height: canvas.clientHeight * 2 }
+}
+
+/**
+ * Render one frame at width x height and copy it into a 2D canvas. The
+ * renderer and camera are put back straight away, so the page never shows
+ * the resized frame.
+ */
+export function renderScene({ gl, scene, camera }, width, height) {
+  // Stay inside what the GPU can draw in one go
+  const fit = Math.min(1, gl.capabilities.maxTextureSize / Math.max(width, height))
+  const w = Math.floor(width * fit)
+  const h = Math.floor(height * fit)
+
+  const pixelRatio = gl.getPixelRatio()
+  const size = gl.getSize(new Vector2())
+  const { aspect, fov } = camera
+
+  gl.setPixelRatio(1)
+  gl.setSize(w, h, false)
+  camera.aspect = w / h
+  // Portrait images keep a square view across, so the tree still fits
+  if (camera.aspect < 1) {
+    const halfFov = (fov * Math.PI) / 360
+    camera.fov = (Math.atan(Math.tan(halfFov) / camera.aspect) * 360) / Math.PI
+  }
+  camera.updateProjectionMatrix()
+  gl.render(scene, camera)
+
+  // Copy before anything else draws - the WebGL buffer isn't preserved
+  const output = document.createElement('canvas')
+  output.width = w
+  output.height = h
+  const ctx = output.getContext('2d')
+  // The WebGL canvas is transparent; the page shows it over black
+  ctx.fillStyle = '#000'
+  ctx.fillRect(0, 0, w, h)
+  ctx.drawImage(gl.domElement, 0, 0)
+
+  gl.setPixelRatio(pixelRatio)
+  gl.setSize(size.x, size.y, false)
+  camera.aspect = aspect
+  camera.fov = fov
+  camera.updateProjectionMatrix()
+  gl.render(scene, camera)
+  return output
+}
+
+// Largest font size (up to max) at which text fits in maxWidth
+function fitFont(ctx, text, font, max, maxWidth) {
+  let size = max
+  ctx.font = `${size}px ${font}`
+  const width = ctx.measureText(text).width
+  if (width > maxWidth) {
+    size = Math.floor(size * maxWidth / width)
+    ctx.font = `${size}px ${font}`
+  }
+  return size
+}
+
+// Split text into lines no wider than maxWidth (words, or characters for CJK)
+function wrapText(ctx, text, maxWidth) {
+  const lines = []
+  text.split('\n').forEach((paragraph) => {
+    const tokens = paragraph.match(/[\u3000-\u9fff\uff00-\uffef]|[^\s\u3000-\u9fff\uff00-\uffef]+|\s+/g) || ['']
+    let line = ''
+    tokens.forEach((token) => {
+      const next = line + token
+      if (line.trim() && ctx.measureText(next).width > maxWidth) {
+        lines.push(line.trim())
+        line = token.trim() ? token : ''
+      } else {
+        line = next
+      }
+    })
+    lines.push(line.trim())
+  })
+  return lines
+}
+
+/**
+ * Draw the card text (and webcam preview) over a rendered scene canvas.
+ * options: { title, message, video } - each optional
+ */
+export function drawCardOverlay(canvas, { title, message, video }) {
+  const ctx = canvas.getContext('2d')
+  const { width, height } = canvas
+  const unit = Math.min(width, height)
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'top'
+
+  if (title) {
+    // Same look as the on-screen title: a white-to-gold gradient with a soft glow
+    const size = fitFont(ctx, title, TITLE_FONT, Math.round(unit * 0.08), width * 0.9)
+    const top = height * 0.08
+    const gradient = ctx.createLinearGradient(0, top, 0, top + size)
+    gradient.addColorStop(0, '#ffffff')
+    gradient.addColorStop(1, '#eebb66')
+    ctx.save()
+    ctx.shadowColor = 'rgba(252, 238, 167, 0.5)'
+    ctx.shadowBlur = size * 0.25
+    ctx.fillStyle = gradient
+    ctx.fillText(title, width / 2, top)
+    ctx.restore()
+  }
+
+  if (message?.trim()) {
+    const size = Math.round(unit * 0.035)
+    ctx.font = `italic ${size}px ${TITLE_FONT}`
+    const lines = wrapText(ctx, message.trim(), width * 0.8)
+    const lineHeight = size * 1.4
+    const top = height * 0.92 - lines.length * lineHeight
+    ctx.save()
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.8)'
+    ctx.shadowBlur = size * 0.3
+    ctx.fillStyle = '#fceea7'
+    lines.forEach((line, i) => ctx.fillText(line, width / 2, top + i * lineHeight))
+    ctx.restore()
+  }
+
+  if (video?.videoWidth) {
+    // Mirrored like the on-screen preview, in the bottom-right corner
+    const w = Math.round(width * 0.2)
+    const h = Math.round(w * video.videoHeight / video.videoWidth)
+    const margin = Math.round(unit * 0.03)
+    const x = width - w - margin
+    const y = height - h - margin
+    ctx.save()
+    ctx.translate(x + w, y)
+    ctx.scale(-1, 1)
+    ctx.drawImage(video, 0, 0, w, h)
+    ctx.restore()
+    ctx.strokeStyle = GOLD
+    ctx.lineWidth = Math.max(1, unit * 0.002)
+    ctx.strokeRect(x, y, w, h)
+  }
+  return canvas
+}
+
+export function canvasToBlob(canvas, type = 'image/png') {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Image encoding failed'))), type)
+  })
+}
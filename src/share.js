@@ -0,0 +1,94 @@
+/**
+ * Shareable scene links - the whole scene configuration (theme or custom
+ * palette, seed, greeting, starting mode and camera view) packed into the
+ * URL hash, so a static build can serve personalised greetings.
+ *
+ *   https://.../#scene=<base64url JSON>
+ */
+
+import { normalizeTheme } from './themes'
+import { parseSeed } from './random'
+
+const SHARE_PARAM = 'scene'
+const SHARE_VERSION = 1
+
+// Electron loads from file://, so links made there point at the GitHub Pages build
+const PUBLIC_URL = 'https://a-wf.github.io/christmas-tree-react/'
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text)
+  let binary = ''
+  bytes.forEach(b => binary += String.fromCharCode(b))
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function fromBase64Url(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/')
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4))
+  return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)))
+}
+
+const round = (v) => Math.round(v * 100) / 100
+
+function isVector(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite)
+}
+
+/**
+ * scene: { themeId, theme, seed, name, mode, camera: { position, target } }
+ * Built-in themes are sent by id, anything else as the full palette.
+ */
+export function encodeScene({ themeId, theme, builtIn, seed, name, mode, camera }) {
+  const data = {
+    v: SHARE_VERSION,
+    t: builtIn ? themeId : theme,
+    s: seed,
+    n: name || undefined,
+    m: mode,
+    c: camera ? { p: camera.position.map(round), t: camera.target.map(round) } : undefined,
+  }
+  return toBase64Url(JSON.stringify(data))
+}
+
+// Returns only the fields that decoded cleanly; null when the value is unusable
+export function decodeScene(value) {
+  try {
+    const data = JSON.parse(fromBase64Url(value))
+    if (!data || data.v !== SHARE_VERSION) return null
+
+    const scene = {}
+    if (typeof data.t === 'string') {
+      scene.themeId = data.t
+    } else if (data.t) {
+      try {
+        scene.theme = normalizeTheme(data.t)
+      } catch (err) {
+        console.error('Shared theme is invalid:', err)
+      }
+    }
+    const seed = parseSeed(data.s)
+    if (seed !== null) scene.seed = seed
+    if (typeof data.n === 'string') scene.name = data.n.slice(0, 40)
+    if (typeof data.m === 'string') scene.mode = data.m
+    if (data.c && isVector(data.c.p) && isVector(data.c.t)) {
+      scene.camera = { position: data.c.p, target: data.c.t }
+    }
+    return scene
+  } catch (err) {
+    console.error('Failed to read shared scene:', err)
+    return null
+  }
+}
+
+export function readSharedScene(hash = window.location.hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''))
+  const value = params.get(SHARE_PARAM)
+  return value ? decodeScene(value) : null
+}
+
+export function buildShareUrl(scene) {
+  const base = window.location.protocol === 'file:'
+    ? PUBLIC_URL
+    : window.location.origin + window.location.pathname
+  return `${base}#${SHARE_PARAM}=${encodeScene(scene)}`
+}
@@ -0,0 +1,40 @@
+/**
+ * Theme cross-fades - on a theme change the particles, the top star and its
+ * light ease from the old colours to the new ones instead of switching at once.
+ */
+
+export const THEME_FADE_SECONDS = 1.5
+
+// Eased 0..1 progress of a fade that has run for `elapsed` seconds
+export function fadeProgress(elapsed) {
+  const t = Math.min(1, Math.max(0, elapsed / THEME_FADE_SECONDS))
+  return t * t * (3 - 2 * t)
+}
+
+/**
+ * A THREE.Color that fades to each new target. Call update(delta) every
+ * frame and copy `color` to wherever it is shown.
+ */
+export function createColorFade(initial) {
+  const color = initial.clone()
+  const from = initial.clone()
+  const to = initial.clone()
+  let elapsed = THEME_FADE_SECONDS
+
+  return {
+    color,
+
+    fadeTo(target) {
+      if (target.equals(to)) return
+      from.copy(color)
+      to.copy(target)
+      elapsed = 0
+    },
+
+    update(delta) {
+      if (elapsed >= THEME_FADE_SECONDS) return
+      elapsed += delta
+      color.lerpColors(from, to, fadeProgress(elapsed))
+    },
+  }
+}
@@ -0,0 +1,186 @@
+/**
+ * Colour themes - the built-in palettes plus user themes saved in localStorage.
+ *
+ * Theme shape:
+ *   name
+ *   tree: { deep, medium, light: [r, g, b],
+ *           white: bool (sparkle points white, or a lighter tree colour),
+ *           whiteReplacement: [r, g, b] | null (tint used instead of white, shaded darker on the spiral),
+ *           accent: [r, g, b] | null (tiny accent dots on the spiral) }
+ *   ground: { r: [min, max], g: [min, max], b: [min, max] | number }
+ *   heart: [r, g, b] (star on top)
+ *   stars: [min, max] (star brightness)
+ *   snow: { density: 0..1 (share of CONFIG.SNOW_POINTS falling),
+ *           wind: 0..2 (sideways drift), settle: bool (builds up on the ground rings) }
+ *   music: track URL
+ */
+
+import { BASE_URL } from './config'
+
+export const MUSIC_TRACKS = [
+  { file: 'calm-christmas-piano-262888.mp3', name: 'Calm Christmas Piano' },
+  { file: 'we-wish-you-a-merry-christmas-452819.mp3', name: 'We Wish You a Merry Christmas' },
+  { file: 'merry-christmas-261280.mp3', name: 'Merry Christmas' },
+  { file: 'winter-day-christmas-holidays-270802.mp3', name: 'Winter Day' },
+  { file: 'christmas-jazz-short-450773.mp3', name: 'Christmas Jazz' },
+].map(track => ({ ...track, url: `${BASE_URL}${track.file}` }))
+
+// Color themes
+export const COLOR_THEMES = {
+  classic: {
+    name: 'Pink & White',
+    tree: { deep: [255, 60, 180], medium: [255, 100, 190], light: [255, 160, 200], white: true, whiteReplacement: null, accent: null },
+    ground: { r: [100, 150], g: [150, 200], b: 255 },
+    heart: [255, 220, 50],
+    stars: [215, 255],
+    snow: { density: 0.5, wind: 0.3, settle: true },
+    music: `${BASE_URL}calm-christmas-piano-262888.mp3`,
+  },
+  traditional: {
+    name: 'Christmas Green',
+    // Deep green instead of white sparkles (approximating the original shading), with tiny red dots
+    tree: { deep: [0, 80, 0], medium: [34, 139, 34], light: [50, 150, 50], white: true, whiteReplacement: [15, 100, 15], accent: [200, 20, 20] },
+    ground: { r: [34, 80], g: [80, 120], b: [34, 60] },
+    heart: [255, 215, 0],
+    stars: [200, 255],
+    snow: { density: 0.7, wind: 0.2, settle: true },
+    music: `${BASE_URL}we-wish-you-a-merry-christmas-452819.mp3`,
+  },
+  red: {
+    name: 'Vermillion Red',
+    tree: { deep: [220, 20, 60], medium: [255, 47, 0], light: [255, 99, 71], white: false, whiteReplacement: null, accent: null },
+    ground: { r: [139, 200], g: [0, 50], b: [0, 30] },
+    heart: [255, 215, 0],
+    stars: [255, 200],
+    snow: { density: 0.4, wind: 0.5, settle: true },
+    music: `${BASE_URL}merry-christmas-261280.mp3`,
+  },
+  blue: {
+    name: 'Ice Blue',
+    tree: { deep: [0, 100, 255], medium: [50, 150, 255], light: [100, 200, 255], white: true, whiteReplacement: null, accent: null },
+    ground: { r: [0, 50], g: [50, 150], b: 255 },
+    heart: [255, 255, 200],
+    stars: [150, 255],
+    snow: { density: 1, wind: 0.8, settle: true },
+    music: `${BASE_URL}winter-day-christmas-holidays-270802.mp3`,
+  },
+  purple: {
+    name: 'Purple Dream',
+    tree: { deep: [138, 43, 226], medium: [147, 112, 219], light: [186, 85, 211], white: false, whiteReplacement: null, accent: null },
+    ground: { r: [75, 150], g: [0, 80], b: [130, 255] },
+    heart: [255, 215, 0],
+    stars: [180, 255],
+    snow: { density: 0.3, wind: 0.2, settle: false },
+    music: `${BASE_URL}christmas-jazz-short-450773.mp3`,
+  },
+}
+
+const CUSTOM_THEMES_KEY = 'christmasCustomThemes'
+
+export function loadCustomThemes() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CUSTOM_THEMES_KEY) || '{}')
+    const themes = {}
+    Object.entries(saved).forEach(([id, theme]) => {
+      try {
+        themes[id] = normalizeTheme(theme)
+      } catch (err) {
+        console.error(`Skipping invalid custom theme "${id}":`, err)
+      }
+    })
+    return themes
+  } catch (err) {
+    console.error('Failed to load custom themes:', err)
+    return {}
+  }
+}
+
+export function saveCustomThemes(themes) {
+  try {
+    localStorage.setItem(CUSTOM_THEMES_KEY, JSON.stringify(themes))
+  } catch (err) {
+    console.error('Failed to save custom themes:', err)
+  }
+}
+
+export function createCustomThemeId() {
+  return `custom-${Date.now()}`
+}
+
+export function rgbToHex([r, g, b]) {
+  return '#' + [r, g, b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('')
+}
+
+export function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16)
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+}
+
+// Look a track up by file name, so themes exported from another deployment
+// (different BASE_URL) still point at the bundled mp3
+function resolveMusic(music) {
+  const file = String(music).split('/').pop()
+  const track = MUSIC_TRACKS.find(t => t.file === file)
+  return track ? track.url : music
+}
+
+export const DEFAULT_SNOW = { density: 0.5, wind: 0.3, settle: true }
+
+// Snow settings are optional - themes saved before snow existed get the defaults
+function normalizeSnow(snow) {
+  if (!snow || typeof snow !== 'object') return { ...DEFAULT_SNOW }
+  const clamp = (value, max, fallback) => (Number.isFinite(value) ? Math.min(Math.max(value, 0), max) : fallback)
+  return {
+    density: clamp(snow.density, 1, DEFAULT_SNOW.density),
+    wind: clamp(snow.wind, 2, DEFAULT_SNOW.wind),
+    settle: snow.settle !== false,
+  }
+}
+
+function isColor(value) {
+  return Array.isArray(value) && value.length === 3 &&
+    value.every(c => Number.isFinite(c) && c >= 0 && c <= 255)
+}
+
+function isRange(value) {
+  return Array.isArray(value) && value.length === 2 &&
+    value.every(c => Number.isFinite(c) && c >= 0 && c <= 255)
+}
+
+// Validate a theme (e.g. imported JSON) and fill in optional fields.
+// Throws with a readable message when something required is missing.
+export function normalizeTheme(data) {
+  if (!data || typeof data !== 'object') throw new Error('Theme must be an object')
+
+  const { tree, ground } = data
+  if (!tree || !['deep', 'medium', 'light'].every(key => isColor(tree[key]))) {
+    throw new Error('tree.deep, tree.medium and tree.light must be [r, g, b] colours')
+  }
+  if (!ground || !isRange(ground.r) || !isRange(ground.g) ||
+      !(isRange(ground.b) || (Number.isFinite(ground.b) && ground.b >= 0 && ground.b <= 255))) {
+    throw new Error('ground.r, ground.g and ground.b must be [min, max] ranges')
+  }
+  if (!isColor(data.heart)) throw new Error('heart must be an [r, g, b] colour')
+  if (!isRange(data.stars)) throw new Error('stars must be a [min, max] brightness range')
+
+  return {
+    name: String(data.name || 'Custom Theme').slice(0, 40),
+    tree: {
+      deep: tree.deep,
+      medium: tree.medium,
+      light: tree.light,
+      white: tree.white !== false,
+      whiteReplacement: isColor(tree.whiteReplacement) ? tree.whiteReplacement : null,
+      accent: isColor(tree.accent) ? tree.accent : null,
+    },
+    ground: { r: ground.r, g: ground.g, b: ground.b },
+    heart: data.heart,
+    stars: data.stars,
+    snow: normalizeSnow(data.snow),
+    music: data.music ? resolveMusic(data.music) : MUSIC_TRACKS[0].url,
+  }
+}
+
+export function exportTheme(theme) {
+  return JSON.stringify(theme, null, 2)
+}
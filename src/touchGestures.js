@@ -0,0 +1,92 @@
+/**
+ * Touch shortcuts for phones and tablets, which often have no webcam for hand
+ * gestures: pinch two fingers together, double-tap, and long-press.
+ *
+ * They share the canvas with OrbitControls, so a one-finger drag still
+ * rotates and a two-finger spread still zooms.
+ */
+
+const DOUBLE_TAP_MS = 350 // Between the two taps
+const TAP_SLOP = 20 // px a tap or long-press may drift
+const LONG_PRESS_MS = 600
+const PINCH_RATIO = 0.6 // Fingers closed to this fraction of their starting gap
+
+const fingerGap = (touches) =>
+  Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY)
+
+// Returns a function that removes the listeners
+export function attachTouchGestures(element, { onPinch, onDoubleTap, onLongPress }) {
+  let press = null // One-finger touch that may still be a tap or long-press: { x, y, time }
+  let lastTap = null
+  let longPressTimer = null
+  let pinchGap = 0 // Finger gap when the second finger landed; 0 once the pinch fired
+
+  const cancelPress = () => {
+    clearTimeout(longPressTimer)
+    longPressTimer = null
+    press = null
+  }
+
+  const handleStart = (event) => {
+    if (event.touches.length === 1) {
+      const touch = event.touches[0]
+      press = { x: touch.clientX, y: touch.clientY, time: event.timeStamp }
+      longPressTimer = setTimeout(() => {
+        cancelPress()
+        lastTap = null
+        onLongPress()
+      }, LONG_PRESS_MS)
+      return
+    }
+
+    // More fingers: no longer a tap
+    cancelPress()
+    lastTap = null
+    pinchGap = event.touches.length === 2 ? fingerGap(event.touches) : 0
+  }
+
+  const handleMove = (event) => {
+    if (press) {
+      const touch = event.touches[0]
+      if (Math.hypot(touch.clientX - press.x, touch.clientY - press.y) > TAP_SLOP) cancelPress()
+    }
+    if (pinchGap && event.touches.length === 2 && fingerGap(event.touches) < pinchGap * PINCH_RATIO) {
+      pinchGap = 0
+      onPinch()
+    }
+  }
+
+  const handleEnd = (event) => {
+    if (event.touches.length < 2) pinchGap = 0
+    if (!press) return
+
+    const tap = press
+    cancelPress()
+    if (lastTap && tap.time - lastTap.time < DOUBLE_TAP_MS &&
+        Math.hypot(tap.x - lastTap.x, tap.y - lastTap.y) < TAP_SLOP * 2) {
+      lastTap = null
+      onDoubleTap()
+    } else {
+      lastTap = tap
+    }
+  }
+
+  const handleCancel = () => {
+    cancelPress()
+    lastTap = null
+    pinchGap = 0
+  }
+
+  element.addEventListener('touchstart', handleStart, { passive: true })
+  element.addEventListener('touchmove', handleMove, { passive: true })
+  element.addEventListener('touchend', handleEnd)
+  element.addEventListener('touchcancel', handleCancel)
+
+  return () => {
+    clearTimeout(longPressTimer)
+    element.removeEventListener('touchstart', handleStart)
+    element.removeEventListener('touchmove', handleMove)
+    element.removeEventListener('touchend', handleEnd)
+    element.removeEventListener('touchcancel', handleCancel)
+  }
+}
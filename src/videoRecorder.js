@@ -0,0 +1,106 @@
+/**
+ * Video greetings - record the scene canvas, plus the music, to a WebM file
+ * with MediaRecorder. A recording starts after a short countdown and can
+ * follow a script of formation changes:
+ *
+ *   sequence: [{ mode: 'TREE', seconds: 3 }, { mode: 'SCATTER', seconds: 4 }, ...]
+ *
+ * The first step is applied when the countdown starts, so the video opens on
+ * a settled formation; each later step starts when the previous one's time is up.
+ */
+
+export const VIDEO_FPS = 30
+export const COUNTDOWN_SECONDS = 3
+export const DEFAULT_SEQUENCE = [
+  { mode: 'TREE', seconds: 3 },
+  { mode: 'SCATTER', seconds: 4 },
+  { mode: 'HEART', seconds: 4 },
+  { mode: 'TREE', seconds: 3 },
+]
+
+const MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm']
+
+// The best WebM flavour this browser records, or null when it can't record at all
+export function videoMimeType() {
+  if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) return null
+  return MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null
+}
+
+export const sequenceSeconds = (sequence) => sequence.reduce((total, step) => total + step.seconds, 0)
+
+/**
+ * Count down, then record until stop() or duration seconds (null: until
+ * stopped). Returns { stop(), finished } - finished resolves to the WebM Blob,
+ * or null when stopped during the countdown.
+ */
+export function recordScene({
+  canvas, audioTrack, duration, sequence = [],
+  onCountdown, onProgress, onModeChange,
+}) {
+  const mimeType = videoMimeType()
+  if (!mimeType) throw new Error('This browser cannot record video')
+
+  const timers = []
+  let recorder = null
+  let progressTimer = null
+  let resolveFinished
+  let rejectFinished
+  const finished = new Promise((resolve, reject) => {
+    resolveFinished = resolve
+    rejectFinished = reject
+  })
+
+  const clearTimers = () => {
+    timers.forEach(timer => clearTimeout(timer))
+    clearInterval(progressTimer)
+  }
+
+  const start = () => {
+    const stream = canvas.captureStream(VIDEO_FPS)
+    if (audioTrack) stream.addTrack(audioTrack)
+    const chunks = []
+    recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8_000_000 })
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data)
+    }
+    recorder.onstop = () => {
+      clearTimers()
+      // Only the canvas track is ours to stop; the audio track belongs to the caller
+      stream.getVideoTracks().forEach(track => track.stop())
+      resolveFinished(new Blob(chunks, { type: 'video/webm' }))
+    }
+    recorder.onerror = (event) => {
+      clearTimers()
+      rejectFinished(event.error || new Error('Recording failed'))
+    }
+    recorder.start(1000)
+
+    const startTime = performance.now()
+    progressTimer = setInterval(() => onProgress?.((performance.now() - startTime) / 1000), 200)
+    onProgress?.(0)
+
+    let at = 0
+    sequence.slice(1).forEach((step, i) => {
+      at += sequence[i].seconds
+      timers.push(setTimeout(() => onModeChange?.(step.mode), at * 1000))
+    })
+    if (duration) timers.push(setTimeout(stop, duration * 1000))
+  }
+
+  const stop = () => {
+    if (recorder) {
+      if (recorder.state !== 'inactive') recorder.stop()
+      return
+    }
+    clearTimers()
+    resolveFinished(null)
+  }
+
+  if (sequence.length > 0) onModeChange?.(sequence[0].mode)
+  for (let n = COUNTDOWN_SECONDS; n > 0; n--) {
+    timers.push(setTimeout(() => onCountdown?.(n), (COUNTDOWN_SECONDS - n) * 1000))
+  }
+  timers.push(setTimeout(start, COUNTDOWN_SECONDS * 1000))
+
+  return { stop, finished }
+}
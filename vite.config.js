@@ -1,7 +1,42 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import fs from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const MEDIAPIPE_DIR = fileURLToPath(new URL('./node_modules/@mediapipe/tasks-vision', import.meta.url))
+const MEDIAPIPE_WASM_DIR = path.join(MEDIAPIPE_DIR, 'wasm')
+const MEDIAPIPE_VERSION = JSON.parse(fs.readFileSync(path.join(MEDIAPIPE_DIR, 'package.json'), 'utf8')).version
+
+// Ship the MediaPipe WASM files from node_modules with the app (mediapipe/wasm/),
+// so gesture control works offline and always matches the installed package
+function mediapipeWasm() {
+  return {
+    name: 'mediapipe-wasm',
+    configureServer(server) {
+      server.middlewares.use('/mediapipe/wasm', (req, res, next) => {
+        const file = path.join(MEDIAPIPE_WASM_DIR, path.basename(req.url.split('?')[0]))
+        if (!fs.existsSync(file)) return next()
+        res.setHeader('Content-Type', file.endsWith('.wasm') ? 'application/wasm' : 'text/javascript')
+        fs.createReadStream(file).pipe(res)
+      })
+    },
+    generateBundle() {
+      fs.readdirSync(MEDIAPIPE_WASM_DIR).forEach((file) => {
+        this.emitFile({
+          type: 'asset',
+          fileName: `mediapipe/wasm/${file}`,
+          source: fs.readFileSync(path.join(MEDIAPIPE_WASM_DIR, file)),
+        })
+      })
+    },
+  }
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), mediapipeWasm()],
   base: "./", // 相对路径，支持本地文件访问
+  define: {
+    __MEDIAPIPE_VERSION__: JSON.stringify(MEDIAPIPE_VERSION),
+  },
 });